@@ -0,0 +1,223 @@
+// ---------- API keys (hashed, scoped) ----------
+// One record per key in the "api_keys" collection. The plaintext key is shown once, at
+// creation or rotation; only its SHA-256 hash is stored. Keys look like
+// omni_<id>_<secret>, so a presented key is found by id and then checked against the hash.
+//
+// Each key carries a name (the n8n workflow or teammate using it), the tenant it acts for
+// (lib/tenants; null = default), a list of scopes that routes check with requireScope(), an
+// optional expiry, and last_used_at. Rotation issues a
+// new key with the same name and scopes and lets the old one keep working for an overlap
+// period, so a workflow can be switched over without downtime.
+//
+// ADMIN_API_KEY (or the older AUTH_TOKEN) in the environment is accepted as a bootstrap key
+// with every scope, to create the first stored keys. With no stored keys and no bootstrap
+// key, auth is off (local development).
+
+const crypto = require('crypto');
+const { createCollection } = require('./jsonStore');
+
+const SCOPES = {
+  'discovery:run': 'Lead discovery, scraping, OSINT, enrichment and discovery jobs',
+  'leads:read': 'Read the lead store',
+  'leads:write': 'Create, update, score and deduplicate stored leads',
+  'campaigns:send': 'Queue GHL campaigns and scheduled sends',
+  'campaigns:read': 'Read the send schedule',
+  'content:generate': 'AI copy and HeyGen video generation',
+  'reports:generate': 'CMA and market reports, and the market data they are computed from',
+  'analytics:run': 'Analytics, A/B testing and market intelligence',
+  'compliance:read': 'Fair-housing validation, consent lookups and scrape policy decisions',
+  'consent:write': 'Record opt-ins, opt-outs and inbound STOP/START replies',
+  'config:read': 'Market Hub configuration and provider status',
+  'metrics:read': 'Prometheus metrics at /metrics',
+  'costs:read': 'Provider spend and budgets for the key\'s tenant (all tenants with admin)',
+  admin: 'Manage API keys and operational resets'
+};
+const ALL_SCOPES = '*';
+const KEY_PREFIX = 'omni';
+const LAST_USED_WRITE_MS = 60000;
+const DEFAULT_OVERLAP_HOURS = 24;
+
+let collection = null;
+
+function store() {
+  if (!collection) collection = createCollection('api_keys');
+  return collection;
+}
+
+function open(options) {
+  collection = createCollection('api_keys', options);
+  return collection;
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function sameHash(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+function bootstrapSecret() {
+  return process.env.ADMIN_API_KEY || process.env.AUTH_TOKEN || null;
+}
+
+// Auth applies as soon as a key exists anywhere
+function enforced() {
+  return store().size() > 0 || !!bootstrapSecret();
+}
+
+function unknownScopes(scopes) {
+  return scopes.filter(s => s !== ALL_SCOPES && !SCOPES[s]);
+}
+
+function isExpired(record, now = Date.now()) {
+  return !!record.expires_at && Date.parse(record.expires_at) <= now;
+}
+
+function statusOf(record) {
+  if (record.revoked_at) return 'revoked';
+  if (isExpired(record)) return 'expired';
+  return 'active';
+}
+
+// Everything but the hash
+function view(record) {
+  if (!record) return null;
+  const { hash: _hash, last_used_persisted_at: _persisted, ...rest } = record;
+  return { ...rest, status: statusOf(record) };
+}
+
+function issue({ name, scopes, tenant = null, expires_at = null, description = null, created_by = null, rotated_from = null }) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const now = new Date().toISOString();
+  const record = store().put(id, {
+    id,
+    name,
+    description,
+    tenant,
+    scopes: [...new Set(scopes)],
+    hash: hash(secret),
+    key_preview: `${KEY_PREFIX}_${id}_${secret.slice(0, 4)}…`,
+    created_at: now,
+    created_by,
+    expires_at,
+    revoked_at: null,
+    revoke_reason: null,
+    last_used_at: null,
+    rotated_from,
+    rotated_to: null
+  });
+  return { key: `${KEY_PREFIX}_${id}_${secret}`, record: view(record) };
+}
+
+// Returns { key, record } or { error: 'unknown_scopes', scopes }
+function create({ name, scopes, tenant, expires_at, description, created_by }) {
+  const unknown = unknownScopes(scopes);
+  if (unknown.length) return { error: 'unknown_scopes', scopes: unknown };
+  return issue({ name, scopes, tenant, expires_at, description, created_by });
+}
+
+// Returns { key: { id, name, tenant, scopes } } or { error: 'invalid' | 'expired' | 'revoked' }
+function authenticate(presented) {
+  if (!presented || typeof presented !== 'string') return { error: 'invalid' };
+  const bootstrap = bootstrapSecret();
+  if (bootstrap && sameHash(hash(presented), hash(bootstrap))) {
+    return { key: { id: 'bootstrap', name: process.env.ADMIN_API_KEY ? 'env:ADMIN_API_KEY' : 'env:AUTH_TOKEN', tenant: null, scopes: [ALL_SCOPES] } };
+  }
+  const m = presented.match(/^omni_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/);
+  const record = m && store().get(m[1]);
+  if (!record || !sameHash(hash(m[2]), record.hash)) return { error: 'invalid' };
+  if (record.revoked_at) return { error: 'revoked' };
+  if (isExpired(record)) return { error: 'expired' };
+
+  // last_used_at is exact in memory but written to disk at most once a minute per key
+  const now = new Date();
+  const persisted = record.last_used_persisted_at ? Date.parse(record.last_used_persisted_at) : 0;
+  if (now - persisted >= LAST_USED_WRITE_MS) {
+    store().put(record.id, { ...record, last_used_at: now.toISOString(), last_used_persisted_at: now.toISOString() });
+  } else {
+    record.last_used_at = now.toISOString();
+  }
+  return { key: { id: record.id, name: record.name, tenant: record.tenant || null, scopes: record.scopes } };
+}
+
+function hasScope(key, scope) {
+  return !!key && (key.scopes.includes(ALL_SCOPES) || key.scopes.includes(scope));
+}
+
+function get(id) {
+  return view(store().get(id));
+}
+
+function list({ includeRevoked = false } = {}) {
+  return store().all()
+    .filter(r => includeRevoked || !r.revoked_at)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .map(view);
+}
+
+// Returns { record } or { error: 'not_found' | 'revoked' | 'unknown_scopes', scopes? }
+function update(id, { name, description, tenant, scopes, expires_at }) {
+  const record = store().get(id);
+  if (!record) return { error: 'not_found' };
+  if (record.revoked_at) return { error: 'revoked' };
+  if (scopes) {
+    const unknown = unknownScopes(scopes);
+    if (unknown.length) return { error: 'unknown_scopes', scopes: unknown };
+  }
+  const changes = {};
+  if (name !== undefined) changes.name = name;
+  if (description !== undefined) changes.description = description;
+  if (tenant !== undefined) changes.tenant = tenant;
+  if (scopes !== undefined) changes.scopes = [...new Set(scopes)];
+  if (expires_at !== undefined) changes.expires_at = expires_at;
+  return { record: view(store().put(id, { ...record, ...changes })) };
+}
+
+// Returns { record } or { error: 'not_found' | 'revoked' }
+function revoke(id, reason = 'revoked_by_admin') {
+  const record = store().get(id);
+  if (!record) return { error: 'not_found' };
+  if (record.revoked_at) return { error: 'revoked', record: view(record) };
+  return { record: view(store().put(id, { ...record, revoked_at: new Date().toISOString(), revoke_reason: reason })) };
+}
+
+// New key with the same name and scopes (and, unless expires_at is given, the same lifetime
+// counted from now); the old one expires after the overlap, or at its own expiry if sooner.
+// Returns { key, record, previous } or { error: 'not_found' | 'revoked' | 'expired' }
+function rotate(id, { overlap_hours = DEFAULT_OVERLAP_HOURS, expires_at, created_by = null } = {}) {
+  const record = store().get(id);
+  if (!record) return { error: 'not_found' };
+  if (record.revoked_at) return { error: 'revoked' };
+  if (isExpired(record)) return { error: 'expired' };
+  const lifetime = record.expires_at ? Date.parse(record.expires_at) - Date.parse(record.created_at) : null;
+  const issued = issue({
+    name: record.name,
+    description: record.description,
+    tenant: record.tenant || null,
+    scopes: record.scopes,
+    expires_at: expires_at !== undefined ? expires_at : lifetime ? new Date(Date.now() + lifetime).toISOString() : null,
+    created_by,
+    rotated_from: record.id
+  });
+  const overlapEnds = Date.now() + overlap_hours * 3600000;
+  const expires = record.expires_at ? Math.min(Date.parse(record.expires_at), overlapEnds) : overlapEnds;
+  const previous = store().put(id, { ...record, expires_at: new Date(expires).toISOString(), rotated_to: issued.record.id });
+  return { ...issued, previous: view(previous) };
+}
+
+module.exports = {
+  SCOPES,
+  ALL_SCOPES,
+  open,
+  enforced,
+  create,
+  authenticate,
+  hasScope,
+  get,
+  list,
+  update,
+  revoke,
+  rotate
+};
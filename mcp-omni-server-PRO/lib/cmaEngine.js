@@ -0,0 +1,283 @@
+// ---------- Comparable-sales CMA engine ----------
+// Values a subject property from recent sold comparables, the way an agent's CMA does:
+//   1. Filter the candidate comps: sold within maxAgeDays, within maxDistanceMiles (when the
+//      subject has coordinates) and of the subject's property type. Every dropped comp is
+//      reported with its reasons.
+//   2. Adjust each comp's sale price toward the subject, feature by feature (living area,
+//      bedrooms, bathrooms, year built, lot, pool): amount = (subject - comp) x rate, so a comp
+//      with a pool the subject lacks is adjusted down. Living area defaults to a share of the
+//      comps' median price per sqft, since a whole $/sqft overstates what extra space adds.
+//      Comps adjusted by more than maxGrossAdjustmentPercent are too different and dropped.
+//   3. Weight the rest by how recent, near and similar (small gross adjustment) they are,
+//      keep the best maxComps and take the weighted mean of adjusted prices as the estimate.
+//      The range is one weighted standard deviation around it, inside the adjusted prices.
+// Rates and limits come from cmaSettings, over the defaults below; a request may override
+// them. Nothing here calls a provider: comps come from the caller (MLS export, IDX feed).
+
+const marketConfig = require('./marketConfig');
+
+const DEFAULTS = {
+  maxDistanceMiles: 1,
+  maxAgeDays: 180,
+  maxComps: 6,
+  minComps: 3,
+  maxGrossAdjustmentPercent: 25
+};
+// USD per unit of difference; `sqft` unset means sqftShareOfPricePerSqft x median $/sqft
+const DEFAULT_ADJUSTMENTS = {
+  sqft: null,
+  sqftShareOfPricePerSqft: 0.5,
+  bedroom: 7500,
+  bathroom: 5000,
+  yearBuilt: 1000,
+  lotSqft: 2,
+  pool: 15000
+};
+const SQFT_PER_ACRE = 43560;
+const DAY_MS = 86400000;
+const EARTH_RADIUS_MILES = 3958.8;
+
+const PROPERTY_TYPES = {
+  single_family: /^(single[_ -]?family|sfr|sfh|house|detached)/,
+  condo: /^condo/,
+  townhouse: /^town[_ -]?(house|home)/,
+  multi_family: /^(multi[_ -]?family|duplex|triplex|fourplex|quadplex)/,
+  manufactured: /^(manufactured|mobile)/,
+  land: /^(land|lot|vacant)/
+};
+
+function settings(overrides = {}) {
+  const configured = marketConfig.settings().cmaSettings || {};
+  return {
+    ...DEFAULTS,
+    ...configured,
+    ...overrides,
+    adjustments: { ...DEFAULT_ADJUSTMENTS, ...(configured.adjustments || {}), ...(overrides.adjustments || {}) }
+  };
+}
+
+// "Single Family Residence" -> single_family; unknown types keep a snake_case form
+function normalizeType(type) {
+  if (!type) return null;
+  const t = String(type).trim().toLowerCase();
+  for (const [name, pattern] of Object.entries(PROPERTY_TYPES)) {
+    if (pattern.test(t)) return name;
+  }
+  return t.replace(/[\s-]+/g, '_');
+}
+
+function num(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function lotSqft(p) {
+  if (num(p.lot_sqft) !== null) return p.lot_sqft;
+  return num(p.lot_acres) !== null ? Math.round(p.lot_acres * SQFT_PER_ACRE) : null;
+}
+
+function distanceMiles(a, b) {
+  if ([a.latitude, a.longitude, b.latitude, b.longitude].some(v => num(v) === null)) return null;
+  const rad = d => (d * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLon = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// To a multiple of `step` (100 for dollars shown as a range, 0.1 for percentages)
+function round(value, step = 1) {
+  return step >= 1 ? Math.round(value / step) * step : Math.round(value / step) / Math.round(1 / step);
+}
+
+// ---------- Steps ----------
+
+// Why a comp cannot be used at all, before adjusting it (limits are echoed in `criteria`)
+function exclusionReasons(subject, comp, facts, s) {
+  const reasons = [];
+  if (!(num(comp.sold_price) > 0)) reasons.push('no_sale_price');
+  if (facts.daysSinceSale === null) reasons.push('no_sale_date');
+  else if (facts.daysSinceSale < 0) reasons.push('sold_after_as_of_date');
+  else if (facts.daysSinceSale > s.maxAgeDays) reasons.push('sale_too_old');
+  if (facts.subjectHasLocation) {
+    if (facts.distance === null) reasons.push('no_coordinates');
+    else if (facts.distance > s.maxDistanceMiles) reasons.push('too_far');
+  }
+  const subjectType = normalizeType(subject.property_type);
+  if (subjectType && normalizeType(comp.property_type) !== subjectType) reasons.push('different_property_type');
+  return reasons;
+}
+
+// One grid row per feature both properties report
+function adjustmentGrid(subject, comp, rates) {
+  const rows = [];
+  const add = (feature, subjectValue, compValue, rate) => {
+    if (subjectValue === null || compValue === null || rate === null) return;
+    const amount = round((subjectValue - compValue) * rate);
+    rows.push({ feature, subject: subjectValue, comp: compValue, rate, amount });
+  };
+  add('sqft', num(subject.sqft), num(comp.sqft), rates.sqft);
+  add('bedrooms', num(subject.bedrooms), num(comp.bedrooms), rates.bedroom);
+  add('bathrooms', num(subject.bathrooms), num(comp.bathrooms), rates.bathroom);
+  add('year_built', num(subject.year_built), num(comp.year_built), rates.yearBuilt);
+  add('lot_sqft', lotSqft(subject), lotSqft(comp), rates.lotSqft);
+  if (typeof subject.pool === 'boolean' && typeof comp.pool === 'boolean') {
+    add('pool', subject.pool ? 1 : 0, comp.pool ? 1 : 0, rates.pool);
+  }
+  return rows;
+}
+
+// Recent, near and lightly adjusted comps count more; each factor is between 0.5 and 1
+function compWeight(comp, s) {
+  const recency = 1 - 0.5 * (comp.days_since_sale / s.maxAgeDays);
+  const proximity = comp.distance_miles === null ? 0.75 : 1 / (1 + comp.distance_miles / s.maxDistanceMiles);
+  const similarity = 1 / (1 + comp.gross_adjustment_percent / s.maxGrossAdjustmentPercent);
+  return recency * proximity * similarity;
+}
+
+function confidenceOf(count, cv, s) {
+  if (count >= s.minComps && cv <= 0.05) return 'high';
+  if (count >= Math.min(2, s.minComps) && cv <= 0.1) return 'medium';
+  return 'low';
+}
+
+// subject: { address, latitude, longitude, property_type, sqft, bedrooms, bathrooms,
+//   year_built, lot_sqft | lot_acres, pool }; comps: the same plus sold_price and sold_date.
+// options: { as_of (YYYY-MM-DD), maxDistanceMiles, maxAgeDays, maxComps, adjustments, ... }
+function analyze(subject, comps, options = {}) {
+  const { as_of: asOfOption, ...overrides } = options;
+  const s = settings(overrides);
+  const asOf = asOfOption ? Date.parse(asOfOption) : Date.now();
+  const subjectHasLocation = distanceMiles(subject, subject) !== null;
+  const warnings = [];
+  if (!subjectHasLocation) warnings.push('subject has no coordinates; comps were not filtered by distance');
+
+  const excluded = [];
+  const eligible = [];
+  comps.forEach((comp, index) => {
+    const sold = comp.sold_date ? Date.parse(comp.sold_date) : NaN;
+    const facts = {
+      subjectHasLocation,
+      distance: distanceMiles(subject, comp),
+      daysSinceSale: Number.isNaN(sold) ? null : Math.floor((asOf - sold) / DAY_MS)
+    };
+    const reasons = exclusionReasons(subject, comp, facts, s);
+    if (reasons.length) excluded.push({ index, address: comp.address || null, reasons });
+    else eligible.push({ index, comp, ...facts });
+  });
+
+  // Living area rate from the comps themselves unless configured
+  const ppsf = median(eligible.filter(e => num(e.comp.sqft) > 0).map(e => e.comp.sold_price / e.comp.sqft));
+  const rates = {
+    ...s.adjustments,
+    sqft: s.adjustments.sqft ?? (ppsf === null ? null : round(ppsf * s.adjustments.sqftShareOfPricePerSqft))
+  };
+  if (num(subject.sqft) === null) warnings.push('subject has no sqft; living area was not adjusted');
+
+  const adjusted = [];
+  for (const e of eligible) {
+    const grid = adjustmentGrid(subject, e.comp, rates);
+    const net = grid.reduce((sum, row) => sum + row.amount, 0);
+    const gross = grid.reduce((sum, row) => sum + Math.abs(row.amount), 0);
+    const grossPercent = round((gross / e.comp.sold_price) * 100, 0.1);
+    if (grossPercent > s.maxGrossAdjustmentPercent) {
+      excluded.push({ index: e.index, address: e.comp.address || null, reasons: ['adjustments_too_large'] });
+      continue;
+    }
+    adjusted.push({
+      index: e.index,
+      id: e.comp.id || e.comp.mls_number || null,
+      address: e.comp.address || null,
+      property_type: normalizeType(e.comp.property_type),
+      sold_price: e.comp.sold_price,
+      sold_date: e.comp.sold_date,
+      days_since_sale: e.daysSinceSale,
+      distance_miles: e.distance === null ? null : round(e.distance, 0.01),
+      sqft: num(e.comp.sqft),
+      bedrooms: num(e.comp.bedrooms),
+      bathrooms: num(e.comp.bathrooms),
+      year_built: num(e.comp.year_built),
+      lot_sqft: lotSqft(e.comp),
+      pool: typeof e.comp.pool === 'boolean' ? e.comp.pool : null,
+      adjustments: grid,
+      net_adjustment: net,
+      gross_adjustment: gross,
+      net_adjustment_percent: round((net / e.comp.sold_price) * 100, 0.1),
+      gross_adjustment_percent: grossPercent,
+      adjusted_price: e.comp.sold_price + net
+    });
+  }
+
+  adjusted.forEach(c => { c.weight = compWeight(c, s); });
+  const selected = adjusted.sort((a, b) => b.weight - a.weight).slice(0, s.maxComps);
+  for (const c of adjusted.slice(s.maxComps)) {
+    excluded.push({ index: c.index, address: c.address, reasons: ['outweighed_by_selected_comps'] });
+  }
+  const totalWeight = selected.reduce((sum, c) => sum + c.weight, 0);
+  selected.forEach(c => { c.weight = round(c.weight / totalWeight, 0.001); });
+
+  if (selected.length < s.minComps) warnings.push(`only ${selected.length} usable comps; at least ${s.minComps} are recommended`);
+
+  let value = null;
+  if (selected.length) {
+    const estimate = selected.reduce((sum, c) => sum + c.weight * c.adjusted_price, 0);
+    const sd = Math.sqrt(selected.reduce((sum, c) => sum + c.weight * (c.adjusted_price - estimate) ** 2, 0));
+    const prices = selected.map(c => c.adjusted_price);
+    value = {
+      estimate: round(estimate, 100),
+      low: round(Math.max(Math.min(...prices), estimate - sd), 100),
+      high: round(Math.min(Math.max(...prices), estimate + sd), 100),
+      price_per_sqft: num(subject.sqft) > 0 ? round(estimate / subject.sqft) : null,
+      confidence: confidenceOf(selected.length, estimate ? sd / estimate : 1, s),
+      comps_used: selected.length
+    };
+  }
+
+  return {
+    subject: {
+      address: subject.address || null,
+      property_type: normalizeType(subject.property_type),
+      sqft: num(subject.sqft),
+      bedrooms: num(subject.bedrooms),
+      bathrooms: num(subject.bathrooms),
+      year_built: num(subject.year_built),
+      lot_sqft: lotSqft(subject),
+      pool: typeof subject.pool === 'boolean' ? subject.pool : null
+    },
+    as_of: new Date(asOf).toISOString().slice(0, 10),
+    criteria: {
+      max_distance_miles: s.maxDistanceMiles,
+      max_age_days: s.maxAgeDays,
+      property_type: normalizeType(subject.property_type),
+      max_comps: s.maxComps,
+      max_gross_adjustment_percent: s.maxGrossAdjustmentPercent
+    },
+    adjustment_rates: {
+      sqft: rates.sqft,
+      bedroom: rates.bedroom,
+      bathroom: rates.bathroom,
+      year_built: rates.yearBuilt,
+      lot_sqft: rates.lotSqft,
+      pool: rates.pool
+    },
+    value,
+    comps: selected,
+    excluded: excluded.sort((a, b) => a.index - b.index),
+    candidates: comps.length,
+    warnings
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  DEFAULT_ADJUSTMENTS,
+  normalizeType,
+  distanceMiles,
+  analyze
+};
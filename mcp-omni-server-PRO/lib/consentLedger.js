@@ -0,0 +1,191 @@
+// ---------- Consent ledger (TCPA) ----------
+// One record per contact in the "consent" collection, keyed by phone (last 10 digits) or,
+// for email-only contacts, by address. Each channel carries its current grant or revocation
+// and every opt-in/opt-out is appended to record.events with its source and evidence, so
+// the ledger doubles as the audit trail. Dispatch paths call check() before any SMS,
+// voicemail or call and refuse the contact when it does not return allowed: true.
+//
+// Consent is held per tenant (lib/requestContext): a record belongs to the tenant whose
+// request created it, and lookups only see the current tenant's records. Default-tenant
+// records keep their bare key; other tenants' keys are prefixed with the tenant id.
+
+const { createCollection } = require('./jsonStore');
+const marketConfig = require('./marketConfig');
+const requestContext = require('./requestContext');
+
+const CHANNELS = ['sms', 'voicemail', 'call', 'email'];
+const PHONE_CHANNELS = ['sms', 'voicemail', 'call'];
+
+// CTIA standard keywords
+const STOP_KEYWORDS = ['stop', 'stopall', 'stop all', 'unsubscribe', 'cancel', 'end', 'quit', 'revoke', 'optout', 'opt out', 'opt-out'];
+const START_KEYWORDS = ['start', 'unstop', 'subscribe'];
+const HELP_KEYWORDS = ['help', 'info'];
+
+let collection = null;
+
+function store() {
+  if (!collection) collection = createCollection('consent');
+  return collection;
+}
+
+function open(options) {
+  collection = createCollection('consent', options);
+  return collection;
+}
+
+function normPhone(v) {
+  const digits = String(v || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+function normEmail(v) {
+  return typeof v === 'string' && v.includes('@') ? v.trim().toLowerCase() : null;
+}
+
+function contactKey({ phone, email } = {}) {
+  const p = normPhone(phone);
+  if (p) return `phone:${p}`;
+  const e = normEmail(email);
+  return e ? `email:${e}` : null;
+}
+
+function tenantOf(record) {
+  return record.tenant || requestContext.DEFAULT_TENANT;
+}
+
+function recordId(tenant, key) {
+  return tenant === requestContext.DEFAULT_TENANT ? key : `${tenant}/${key}`;
+}
+
+// A record keeps the key it was created under, so fall back to matching either identifier
+function find(contact = {}) {
+  const s = store();
+  const tenant = requestContext.tenantId();
+  const own = id => {
+    const record = s.get(recordId(tenant, id));
+    return record && tenantOf(record) === tenant ? record : null;
+  };
+  const key = contactKey(contact);
+  if (key && own(key)) return own(key);
+  const phone = normPhone(contact.phone);
+  const email = normEmail(contact.email);
+  if (email && own(`email:${email}`)) return own(`email:${email}`);
+  if (!phone && !email) return null;
+  return s.all().find(r => tenantOf(r) === tenant && ((phone && r.phone === phone) || (email && r.email === email))) || null;
+}
+
+function consentSettings() {
+  const legal = marketConfig.settings().legalCompliance || {};
+  return { required: legal.consentRequired !== false, validityDays: legal.consentValidityDays || null };
+}
+
+function touch(contact, mutate) {
+  const key = contactKey(contact);
+  if (!key) throw new Error('phone or email required');
+  const s = store();
+  const existing = find(contact);
+  const record = existing
+    ? JSON.parse(JSON.stringify(existing))
+    : { id: recordId(requestContext.tenantId(), key), tenant: requestContext.tenantId(), phone: null, email: null, channels: {}, events: [], created_at: new Date().toISOString() };
+  record.phone = record.phone || normPhone(contact.phone);
+  record.email = record.email || normEmail(contact.email);
+  mutate(record);
+  record.updated_at = new Date().toISOString();
+  s.put(record.id, record);
+  return record;
+}
+
+// Evidence is what proves the opt-in later: form URL + submission id, recording id, signed doc...
+function recordOptIn({ phone, email, channels = PHONE_CHANNELS, source, evidence, timestamp, consent_text, ip, user_agent }) {
+  const at = timestamp || new Date().toISOString();
+  return touch({ phone, email }, record => {
+    for (const channel of channels) {
+      record.channels[channel] = { status: 'granted', source, evidence, consent_text: consent_text || null, granted_at: at, revoked_at: null };
+    }
+    record.events.push({ type: 'opt_in', at, channels, source, evidence, consent_text: consent_text || null, ip: ip || null, user_agent: user_agent || null, recorded_at: new Date().toISOString() });
+  });
+}
+
+// A revocation received on one phone channel is applied to every phone channel by default
+function recordOptOut({ phone, email, channels, source, keyword, message, timestamp }) {
+  const at = timestamp || new Date().toISOString();
+  const revoke = channels && channels.length ? channels : (normPhone(phone) ? PHONE_CHANNELS : ['email']);
+  return touch({ phone, email }, record => {
+    for (const channel of revoke) {
+      record.channels[channel] = { ...(record.channels[channel] || {}), status: 'revoked', revoked_at: at, revoked_source: source, revoked_keyword: keyword || null };
+    }
+    record.events.push({ type: 'opt_out', at, channels: revoke, source, keyword: keyword || null, message: message || null, recorded_at: new Date().toISOString() });
+  });
+}
+
+// START after a STOP restores the earlier grant; it never creates consent that did not exist
+function restoreAfterStart({ phone, keyword, message, timestamp }) {
+  const existing = find({ phone });
+  if (!existing || !PHONE_CHANNELS.some(c => existing.channels[c]?.granted_at)) return null;
+  const at = timestamp || new Date().toISOString();
+  return touch({ phone }, record => {
+    const restored = PHONE_CHANNELS.filter(c => record.channels[c]?.granted_at);
+    for (const c of restored) record.channels[c] = { ...record.channels[c], status: 'granted', revoked_at: null, restored_at: at };
+    record.events.push({ type: 'opt_in', at, channels: restored, source: 'inbound_keyword', evidence: `keyword:${keyword}`, message: message || null, recorded_at: new Date().toISOString() });
+  });
+}
+
+function classifyKeyword(body) {
+  const text = String(body || '').trim().toLowerCase().replace(/[.!]+$/, '');
+  if (STOP_KEYWORDS.includes(text)) return { action: 'opt_out', keyword: text };
+  if (START_KEYWORDS.includes(text)) return { action: 'opt_in', keyword: text };
+  if (HELP_KEYWORDS.includes(text)) return { action: 'help', keyword: text };
+  // Free-text revocations ("please stop texting me") count too
+  if (/\b(?:stop|unsubscribe|remove me|don'?t (?:text|call|contact) me|opt[- ]?out)\b/.test(text)) return { action: 'opt_out', keyword: 'free_text' };
+  return { action: 'none', keyword: null };
+}
+
+// Returns { allowed, reason, channel, consent? } for one contact on one channel
+function check(contact = {}, channel) {
+  const settings = consentSettings();
+  if (PHONE_CHANNELS.includes(channel) && !normPhone(contact.phone)) {
+    return { allowed: false, channel, reason: 'no_valid_phone' };
+  }
+  if (channel === 'email' && !normEmail(contact.email)) {
+    return { allowed: false, channel, reason: 'no_valid_email' };
+  }
+  const record = find(channel === 'email' ? { email: contact.email } : { phone: contact.phone, email: contact.email });
+  const entry = record?.channels?.[channel];
+
+  if (entry?.status === 'revoked') return { allowed: false, channel, reason: 'consent_revoked', revoked_at: entry.revoked_at };
+  // Email is opt-out based; only an explicit revocation blocks it
+  if (channel === 'email') return { allowed: true, channel, reason: entry ? 'consent_on_file' : 'opt_out_based_channel' };
+  if (!settings.required) return { allowed: true, channel, reason: 'consent_not_required' };
+  if (!record) return { allowed: false, channel, reason: 'no_consent_record' };
+  if (!entry) return { allowed: false, channel, reason: 'channel_not_consented' };
+  if (settings.validityDays && entry.granted_at) {
+    const ageDays = (Date.now() - Date.parse(entry.granted_at)) / 86400000;
+    if (ageDays > settings.validityDays) return { allowed: false, channel, reason: 'consent_expired', granted_at: entry.granted_at };
+  }
+  return { allowed: true, channel, reason: 'consent_on_file', consent: { source: entry.source, evidence: entry.evidence, granted_at: entry.granted_at } };
+}
+
+// Check several channels at once; `refused` lists the ones that may not be used
+function gate(contact, channels) {
+  const results = {};
+  for (const channel of channels) results[channel] = check(contact, channel);
+  return {
+    results,
+    allowed: channels.filter(c => results[c].allowed),
+    refused: channels.filter(c => !results[c].allowed).map(c => ({ channel: c, reason: results[c].reason }))
+  };
+}
+
+module.exports = {
+  CHANNELS,
+  PHONE_CHANNELS,
+  open,
+  find,
+  contactKey,
+  recordOptIn,
+  recordOptOut,
+  restoreAfterStart,
+  classifyKeyword,
+  check,
+  gate
+};
@@ -0,0 +1,121 @@
+// ---------- Contact timezone resolution ----------
+// Resolves an IANA timezone from a contact's ZIP (preferred) or state. ZIP3 prefixes map
+// to a state, and split-timezone states carry ZIP3 overrides, which matters here: the
+// Florida panhandle west of the Apalachicola (Pensacola, Pace, Milton, Panama City) is on
+// Central time while the rest of the state is Eastern.
+//
+// Without a ZIP the zone can be ambiguous: a state-only contact in a split state could be in
+// any of its zones, and a contact with no location in any zone of the caller's fallback
+// list. `timezones` lists every candidate so the scheduler can keep to all of them.
+
+const STATE_TZ = {
+  AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+  CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DC: 'America/New_York',
+  DE: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+  IA: 'America/Chicago', ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis',
+  KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', MA: 'America/New_York',
+  MD: 'America/New_York', ME: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+  MO: 'America/Chicago', MS: 'America/Chicago', MT: 'America/Denver', NC: 'America/New_York',
+  ND: 'America/Chicago', NE: 'America/Chicago', NH: 'America/New_York', NJ: 'America/New_York',
+  NM: 'America/Denver', NV: 'America/Los_Angeles', NY: 'America/New_York', OH: 'America/New_York',
+  OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', PR: 'America/Puerto_Rico',
+  RI: 'America/New_York', SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago',
+  TX: 'America/Chicago', UT: 'America/Denver', VA: 'America/New_York', VT: 'America/New_York',
+  WA: 'America/Los_Angeles', WI: 'America/Chicago', WV: 'America/New_York', WY: 'America/Denver',
+  GU: 'Pacific/Guam', VI: 'America/St_Thomas'
+};
+
+const STATE_NAMES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+  connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+  hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+  louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+  mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+  'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+  ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'puerto rico': 'PR', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+  virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY'
+};
+
+// [first ZIP3, last ZIP3, state]
+const ZIP3_STATES = [
+  [5, 5, 'NY'], [6, 7, 'PR'], [8, 8, 'VI'], [9, 9, 'PR'], [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'],
+  [39, 49, 'ME'], [50, 59, 'VT'], [60, 69, 'CT'], [70, 89, 'NJ'], [100, 149, 'NY'], [150, 196, 'PA'],
+  [197, 199, 'DE'], [200, 205, 'DC'], [206, 219, 'MD'], [220, 246, 'VA'], [247, 268, 'WV'], [270, 289, 'NC'],
+  [290, 299, 'SC'], [300, 319, 'GA'], [320, 349, 'FL'], [350, 369, 'AL'], [370, 385, 'TN'], [386, 397, 'MS'],
+  [398, 399, 'GA'], [400, 427, 'KY'], [430, 459, 'OH'], [460, 479, 'IN'], [480, 499, 'MI'], [500, 528, 'IA'],
+  [530, 549, 'WI'], [550, 567, 'MN'], [569, 569, 'DC'], [570, 577, 'SD'], [580, 588, 'ND'], [590, 599, 'MT'],
+  [600, 629, 'IL'], [630, 658, 'MO'], [660, 679, 'KS'], [680, 693, 'NE'], [700, 714, 'LA'], [716, 729, 'AR'],
+  [730, 749, 'OK'], [750, 799, 'TX'], [800, 816, 'CO'], [820, 831, 'WY'], [832, 838, 'ID'], [840, 847, 'UT'],
+  [850, 865, 'AZ'], [870, 884, 'NM'], [885, 885, 'TX'], [889, 898, 'NV'], [900, 961, 'CA'], [967, 968, 'HI'],
+  [969, 969, 'GU'], [970, 979, 'OR'], [980, 994, 'WA'], [995, 999, 'AK']
+];
+
+// ZIP3 prefixes whose timezone differs from their state's default
+const ZIP3_TZ_OVERRIDES = {
+  324: 'America/Chicago', 325: 'America/Chicago', // FL panhandle: Panama City, Pensacola, Pace, Milton
+  373: 'America/New_York', 374: 'America/New_York', 376: 'America/New_York', 377: 'America/New_York',
+  378: 'America/New_York', 379: 'America/New_York', // East Tennessee
+  420: 'America/Chicago', 421: 'America/Chicago', 422: 'America/Chicago', // Western Kentucky
+  463: 'America/Chicago', 464: 'America/Chicago', 476: 'America/Chicago', 477: 'America/Chicago', // NW & SW Indiana
+  577: 'America/Denver', // Western South Dakota
+  586: 'America/Denver', 587: 'America/Denver', 588: 'America/Denver', // Western North Dakota
+  690: 'America/Denver', 691: 'America/Denver', 692: 'America/Denver', 693: 'America/Denver', // Western Nebraska
+  798: 'America/Denver', 799: 'America/Denver', 885: 'America/Denver', // El Paso
+  835: 'America/Los_Angeles', 838: 'America/Los_Angeles' // North Idaho
+};
+
+function stateFromZip3(zip3) {
+  const hit = ZIP3_STATES.find(([lo, hi]) => zip3 >= lo && zip3 <= hi);
+  return hit ? hit[2] : null;
+}
+
+// Every zone a state spans: its default plus the zones of its ZIP3 overrides
+const STATE_ZONES = {};
+for (const [code, tz] of Object.entries(STATE_TZ)) STATE_ZONES[code] = [tz];
+for (const [zip3, tz] of Object.entries(ZIP3_TZ_OVERRIDES)) {
+  const zones = STATE_ZONES[stateFromZip3(Number(zip3))];
+  if (zones && !zones.includes(tz)) zones.push(tz);
+}
+
+function zonesForState(state) {
+  const code = stateCodeOf(state);
+  return code ? [...STATE_ZONES[code]] : [];
+}
+
+function stateCodeOf(state) {
+  if (!state || typeof state !== 'string') return null;
+  const s = state.trim();
+  if (/^[A-Za-z]{2}$/.test(s) && STATE_TZ[s.toUpperCase()]) return s.toUpperCase();
+  return STATE_NAMES[s.toLowerCase()] || null;
+}
+
+function stateFromZip(zip) {
+  const m = String(zip || '').match(/^(\d{5})(?:-\d{4})?$/);
+  if (!m) return null;
+  return stateFromZip3(parseInt(m[1].slice(0, 3), 10));
+}
+
+// Returns { timezone, timezones, source, state } where source is 'zip', 'state' or 'default'.
+// `timezone` is the likeliest zone and `timezones` every zone the contact could be in.
+// `fallback` (a zone or a list of zones) is used when neither ZIP nor state is known.
+function resolve({ zip, state } = {}, fallback) {
+  const zipState = stateFromZip(zip);
+  if (zipState) {
+    const zip3 = parseInt(String(zip).slice(0, 3), 10);
+    const timezone = ZIP3_TZ_OVERRIDES[zip3] || STATE_TZ[zipState];
+    return { timezone, timezones: [timezone], source: 'zip', state: zipState };
+  }
+  const code = stateCodeOf(state);
+  if (code) return { timezone: STATE_TZ[code], timezones: [...STATE_ZONES[code]], source: 'state', state: code };
+  const timezones = [...new Set([].concat(fallback || []))];
+  if (!timezones.length) timezones.push('America/New_York');
+  return { timezone: timezones[0], timezones, source: 'default', state: null };
+}
+
+module.exports = {
+  resolve,
+  zonesForState,
+  stateFromZip,
+  stateCodeOf
+};
@@ -0,0 +1,364 @@
+// ---------- Provider cost ledger ----------
+// Every successful call to a paid provider is priced and added to the "cost_ledger"
+// collection: one row per UTC day, tenant, provider and route, holding the billable units
+// (Zyte requests, ZenRows credits, Google CSE queries, Apollo credits, LLM tokens), the
+// call count and the cost in USD. Prices come from costSettings.rateCard, over DEFAULT_RATE_CARD;
+// a provider's card may price specific LLM models under `models`.
+//
+// Budgets are per tenant: performanceTracking.costLimitDaily and costSettings.monthlyLimit.
+// From costSettings.degradeAtPercent of either budget, guarded calls are made cheaper where
+// the provider has a cheaper option (ZenRows without JS rendering or premium proxies, a
+// smaller LLM from degradeModels); at 100% they are refused with a budget_exceeded error,
+// which routes handle like any provider failure (the scraper chain falls through to direct
+// fetching). analytics.alertThresholds.maxDailySpend only logs a warning, once a day.
+
+const { createCollection } = require('./jsonStore');
+const marketConfig = require('./marketConfig');
+const requestContext = require('./requestContext');
+const logger = require('./logger');
+
+// USD per unit. Defaults are list prices at the time of writing; override them in config.
+const DEFAULT_RATE_CARD = {
+  zyte: { request: 0.0013, browser_request: 0.01 },
+  zenrows: { credit: 0.00028 },
+  google_cse: { query: 0.005 },
+  apollo: { credit: 0.03 },
+  anthropic: { input_token: 0.000003, output_token: 0.000015 },
+  openai: { input_token: 0.0000025, output_token: 0.00001 },
+  perplexity: { request: 0.005, input_token: 0.000001, output_token: 0.000001 }
+};
+const DEFAULT_DEGRADE_MODELS = {
+  anthropic: 'claude-3-5-haiku-latest',
+  openai: 'gpt-4o-mini',
+  perplexity: 'sonar'
+};
+const DEFAULT_DEGRADE_PERCENT = 80;
+const DEFAULT_RETENTION_DAYS = 400;
+const LLM_PROVIDERS = ['anthropic', 'openai', 'perplexity'];
+
+let collection = null;
+const spent = new Map(); // "tenant|YYYY-MM-DD" and "tenant|YYYY-MM" -> USD
+const alerted = new Set(); // "tenant|YYYY-MM-DD" once the alert threshold was logged
+const counts = { refused: 0, degraded: 0 };
+
+function store() {
+  if (!collection) open();
+  return collection;
+}
+
+// Rebuilds the spend totals budgets are checked against; drops rows past retention
+function open(options) {
+  collection = createCollection('cost_ledger', options);
+  spent.clear();
+  const retentionDays = costSettings().retentionDays || DEFAULT_RETENTION_DAYS;
+  const cutoff = new Date(Date.now() - retentionDays * 86400000).toISOString().slice(0, 10);
+  for (const row of collection.all()) {
+    if (row.day < cutoff) collection.remove(row.id);
+    else addSpent(row.tenant, row.day, row.cost_usd);
+  }
+  return collection;
+}
+
+function costSettings() {
+  return marketConfig.settings().costSettings || {};
+}
+
+function rateCard() {
+  const configured = costSettings().rateCard || {};
+  const card = {};
+  for (const name of new Set([...Object.keys(DEFAULT_RATE_CARD), ...Object.keys(configured)])) {
+    card[name] = { ...(DEFAULT_RATE_CARD[name] || {}), ...(configured[name] || {}) };
+  }
+  return card;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function addSpent(tenant, day, usd) {
+  for (const key of [`${tenant}|${day}`, `${tenant}|${day.slice(0, 7)}`]) spent.set(key, (spent.get(key) || 0) + usd);
+}
+
+function round(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+// ---------- Billable units ----------
+
+function requestBody(config) {
+  if (!config || !config.data) return {};
+  if (typeof config.data === 'object') return config.data;
+  try {
+    return JSON.parse(config.data);
+  } catch {
+    return {};
+  }
+}
+
+// Anthropic reports input/output_tokens, OpenAI and Perplexity prompt/completion_tokens
+function tokenUsage(data) {
+  const usage = data && typeof data === 'object' ? data.usage : null;
+  if (!usage || typeof usage !== 'object') return null;
+  const input = usage.input_tokens ?? usage.prompt_tokens;
+  const output = usage.output_tokens ?? usage.completion_tokens;
+  if (typeof input !== 'number' && typeof output !== 'number') return null;
+  return { model: data.model || 'unknown', input: input || 0, output: output || 0 };
+}
+
+// ZenRows bills 1 credit, 5 with JS rendering, 10 with premium proxies, 25 with both
+function zenrowsCredits(params = {}) {
+  const js = String(params.js_render) === 'true';
+  const premium = String(params.premium_proxy) === 'true';
+  return js && premium ? 25 : premium ? 10 : js ? 5 : 1;
+}
+
+// { units: { unit: n }, model? } for one successful call, or null when it is not billable
+function unitsFor(provider, response) {
+  const config = response.config || {};
+  const data = response.data;
+  switch (provider) {
+    case 'zyte': {
+      const body = requestBody(config);
+      return { units: body.browserHtml || body.screenshot ? { browser_request: 1 } : { request: 1 } };
+    }
+    case 'zenrows':
+      return { units: { credit: zenrowsCredits(config.params) } };
+    case 'google_cse':
+      return { units: { query: 1 } };
+    case 'apollo': {
+      // Apollo reports credits on bulk calls; single matches cost one per person found
+      const credits = typeof data?.credits_consumed === 'number'
+        ? data.credits_consumed
+        : Array.isArray(data?.matches) ? data.matches.filter(Boolean).length : data?.person ? 1 : 0;
+      return credits ? { units: { credit: credits } } : null;
+    }
+    default: {
+      if (!LLM_PROVIDERS.includes(provider)) return null;
+      const usage = tokenUsage(data);
+      if (!usage) return null;
+      const units = { input_token: usage.input, output_token: usage.output };
+      if (provider === 'perplexity') units.request = 1;
+      return { units, model: usage.model };
+    }
+  }
+}
+
+function price(provider, units, model) {
+  const card = rateCard()[provider] || {};
+  const prices = { ...card, ...((card.models || {})[model] || {}) };
+  let usd = 0;
+  for (const [unit, n] of Object.entries(units)) usd += (typeof prices[unit] === 'number' ? prices[unit] : 0) * n;
+  return usd;
+}
+
+// ---------- Recording ----------
+
+// Where a call was made from: the matched route, the background job type, or neither
+function routeOf(ctx) {
+  const req = ctx?.req;
+  if (req) return req.route ? req.baseUrl + req.route.path : req.path;
+  if (ctx?.jobType) return `job:${ctx.jobType}`;
+  return 'background';
+}
+
+function record({ provider, units, model, ctx = requestContext.get() }) {
+  const usd = price(provider, units, model);
+  const day = today();
+  const tenant = ctx?.tenant || requestContext.DEFAULT_TENANT;
+  const route = routeOf(ctx);
+  const id = `${day}|${tenant}|${provider}|${route}`;
+  const row = store().get(id) || { id, day, tenant, provider, route, units: {}, calls: 0, cost_usd: 0 };
+  const merged = { ...row.units };
+  for (const [unit, n] of Object.entries(units)) merged[unit] = (merged[unit] || 0) + n;
+  store().put(id, { ...row, units: merged, calls: row.calls + 1, cost_usd: round(row.cost_usd + usd), updated_at: new Date().toISOString() });
+  addSpent(tenant, day, usd);
+
+  // What this request has spent so far, for routes that report it (apollo_credits_used)
+  if (ctx?.req) {
+    const usage = ctx.req.costUsage = ctx.req.costUsage || {};
+    const mine = usage[provider] = usage[provider] || { units: {}, cost_usd: 0 };
+    for (const [unit, n] of Object.entries(units)) mine.units[unit] = (mine.units[unit] || 0) + n;
+    mine.cost_usd = round(mine.cost_usd + usd);
+  }
+  alertIfOver(tenant, day);
+  return usd;
+}
+
+function alertIfOver(tenant, day) {
+  const key = `${tenant}|${day}`;
+  if (alerted.has(key)) return;
+  const threshold = (marketConfig.settings().analytics?.alertThresholds || {}).maxDailySpend;
+  const todaySpend = spent.get(key) || 0;
+  if (typeof threshold === 'number' && todaySpend >= threshold) {
+    alerted.add(key);
+    logger.warn('daily provider spend passed the alert threshold', { spent_usd: round(todaySpend), threshold_usd: threshold });
+  }
+}
+
+// lib/logger onProviderCall observer
+function observeProviderCall(call) {
+  if (call.failed || !call.response) return;
+  const billed = unitsFor(call.provider, call.response);
+  if (billed) record({ provider: call.provider, units: billed.units, model: billed.model, ctx: call.response.config?.logSpan?.ctx || requestContext.get() });
+}
+
+// ---------- Budgets ----------
+
+function limits() {
+  return {
+    day: marketConfig.settings().performanceTracking?.costLimitDaily,
+    month: costSettings().monthlyLimit
+  };
+}
+
+// { state: 'ok' | 'degraded' | 'exceeded', daily, monthly } for the current tenant
+function budget(tenant = requestContext.tenantId()) {
+  // Limits come from the tenant's config view
+  if (tenant !== requestContext.tenantId()) return requestContext.run({ ...requestContext.get(), tenant }, () => budget(tenant));
+  const day = today();
+  const { day: dailyLimit, month: monthlyLimit } = limits();
+  const degradeAt = (costSettings().degradeAtPercent ?? DEFAULT_DEGRADE_PERCENT) / 100;
+  const describe = (limit, used) => {
+    if (typeof limit !== 'number') return { limit_usd: null, spent_usd: round(used), remaining_usd: null, state: 'ok' };
+    const state = used >= limit ? 'exceeded' : used >= limit * degradeAt ? 'degraded' : 'ok';
+    return { limit_usd: limit, spent_usd: round(used), remaining_usd: round(Math.max(0, limit - used)), state };
+  };
+  const daily = describe(dailyLimit, spent.get(`${tenant}|${day}`) || 0);
+  const monthly = describe(monthlyLimit, spent.get(`${tenant}|${day.slice(0, 7)}`) || 0);
+  const states = [daily.state, monthly.state];
+  const state = states.includes('exceeded') ? 'exceeded' : states.includes('degraded') ? 'degraded' : 'ok';
+  return { state, degrade_at_percent: degradeAt * 100, daily, monthly };
+}
+
+function budgetError(provider, status) {
+  const which = status.daily.state === 'exceeded' ? 'daily' : 'monthly';
+  const limit = status[which].limit_usd;
+  const err = new Error(`budget_exceeded: ${which} provider budget of $${limit} reached; ${provider} call refused`);
+  err.code = 'budget_exceeded';
+  err.budget = { period: which, limit_usd: limit, spent_usd: status[which].spent_usd };
+  return err;
+}
+
+// Cheaper variant of a call, where the provider has one; returns what changed
+function degrade(provider, config) {
+  const changes = {};
+  if (provider === 'zenrows' && config.params) {
+    for (const flag of ['js_render', 'premium_proxy']) {
+      if (String(config.params[flag]) === 'true') {
+        config.params = { ...config.params, [flag]: 'false' };
+        changes[flag] = 'false';
+      }
+    }
+  }
+  if (LLM_PROVIDERS.includes(provider) && config.data && typeof config.data === 'object') {
+    const model = { ...DEFAULT_DEGRADE_MODELS, ...(costSettings().degradeModels || {}) }[provider];
+    if (model && config.data.model && config.data.model !== model) {
+      changes.model = `${config.data.model} -> ${model}`;
+      config.data = { ...config.data, model };
+    }
+  }
+  return changes;
+}
+
+// Refuses or degrades calls on an axios instance once the tenant's budget calls for it.
+// provider: a name, or url => name (as for logger.instrument). Providers without a rate
+// card are never held back.
+function guard(instance, { provider }) {
+  const providerFor = typeof provider === 'function' ? provider : () => provider;
+  instance.interceptors.request.use(config => {
+    let url;
+    try {
+      url = instance.getUri(config);
+    } catch {
+      url = config.url;
+    }
+    const name = providerFor(url);
+    if (!rateCard()[name]) return config;
+    const status = budget();
+    if (status.state === 'exceeded') {
+      counts.refused++;
+      const err = budgetError(name, status);
+      logger.warn('provider call refused: budget exceeded', { provider: name, ...err.budget });
+      throw err;
+    }
+    if (status.state === 'degraded') {
+      const changes = degrade(name, config);
+      if (Object.keys(changes).length) {
+        counts.degraded++;
+        logger.info('provider call degraded to stay within budget', { provider: name, changes });
+      }
+    }
+    return config;
+  });
+  return instance;
+}
+
+// ---------- Reporting ----------
+
+function addTo(groups, key, row) {
+  const g = groups.get(key) || { calls: 0, units: {}, cost_usd: 0 };
+  g.calls += row.calls;
+  g.cost_usd += row.cost_usd;
+  for (const [unit, n] of Object.entries(row.units)) g.units[unit] = (g.units[unit] || 0) + n;
+  groups.set(key, g);
+}
+
+function grouped(groups, label) {
+  return [...groups]
+    .map(([key, g]) => ({ [label]: key, calls: g.calls, units: g.units, cost_usd: round(g.cost_usd) }))
+    .sort((a, b) => b.cost_usd - a.cost_usd || String(a[label]).localeCompare(String(b[label])));
+}
+
+// Spend between two UTC days (inclusive), for one tenant or all of them
+function report({ from, to, tenant } = {}) {
+  const groups = { provider: new Map(), route: new Map(), tenant: new Map(), day: new Map() };
+  let total = 0;
+  let calls = 0;
+  for (const row of store().all()) {
+    if (row.day < from || row.day > to || (tenant && row.tenant !== tenant)) continue;
+    total += row.cost_usd;
+    calls += row.calls;
+    for (const key of Object.keys(groups)) addTo(groups[key], row[key], row);
+  }
+  return {
+    period: { from, to },
+    currency: 'USD',
+    total_usd: round(total),
+    calls,
+    by_provider: grouped(groups.provider, 'provider'),
+    by_route: grouped(groups.route, 'route'),
+    by_tenant: grouped(groups.tenant, 'tenant'),
+    by_day: grouped(groups.day, 'day').sort((a, b) => a.day.localeCompare(b.day))
+  };
+}
+
+// Today's and this month's spend for every tenant with ledger rows, for /metrics
+function spendByTenant() {
+  const day = today();
+  const tenants = new Set(store().all().map(r => r.tenant));
+  return [...tenants].map(tenant => ({
+    tenant,
+    day_usd: round(spent.get(`${tenant}|${day}`) || 0),
+    month_usd: round(spent.get(`${tenant}|${day.slice(0, 7)}`) || 0)
+  }));
+}
+
+function status() {
+  return { rate_card: rateCard(), calls_refused: counts.refused, calls_degraded: counts.degraded };
+}
+
+module.exports = {
+  DEFAULT_RATE_CARD,
+  open,
+  tokenUsage,
+  unitsFor,
+  price,
+  record,
+  observeProviderCall,
+  budget,
+  guard,
+  report,
+  spendByTenant,
+  status
+};
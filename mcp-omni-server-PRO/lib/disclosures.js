@@ -0,0 +1,158 @@
+// ---------- Required disclosure enforcement ----------
+// Checks outbound SMS and email templates for legalCompliance.requiredDisclosures and
+// either appends the missing ones or rejects the template (legalCompliance.disclosureMode).
+// SMS is length-aware: the body is shortened, never the disclosures, and the opt-out
+// always ends the message so carrier-side truncation cannot cut it off.
+
+const marketConfig = require('./marketConfig');
+
+const DEFAULT_MODE = 'append';
+const DEFAULT_SMS_SEGMENTS = 2;
+
+// GSM 03.38 basic set; anything outside it forces UCS-2 and much shorter segments
+const GSM_CHARS = /^[A-Za-z0-9 \n\r@£$¥èéùìòÇØøÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ!"#¤%&'()*+,\-./:;<=>?¡ÄÖÑÜ§¿äöñüà^{}\\[~\]|€]*$/;
+
+// Keyword opt-outs only make sense over SMS; an email carries its own unsubscribe link
+const SMS_ONLY = /\b(?:text|reply)\s+stop\b/i;
+const OPT_OUT = /\b(?:text|reply)\s+stop\b|\bopt[- ]?out\b|\bunsubscribe\b/i;
+// An SMS's keyword opt-out, from the keyword to the end of its sentence ("Reply STOP to unsubscribe.")
+const OPT_OUT_SENTENCE = /\b(?:please\s+)?(?:text|reply)\s+stop\b[^.!?]*[.!?]?/i;
+
+function policy(overrides = {}) {
+  const legal = marketConfig.settings().legalCompliance || {};
+  return {
+    mode: overrides.mode || legal.disclosureMode || DEFAULT_MODE,
+    disclosures: overrides.disclosures || legal.requiredDisclosures || [],
+    maxSegments: overrides.maxSegments || legal.smsMaxSegments || DEFAULT_SMS_SEGMENTS
+  };
+}
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// "Reply STOP to unsubscribe" satisfies a "Text STOP to opt out" requirement
+function isPresent(text, disclosure) {
+  if (normalize(text).includes(normalize(disclosure))) return true;
+  return OPT_OUT.test(disclosure) && SMS_ONLY.test(disclosure) && SMS_ONLY.test(text);
+}
+
+function smsLimits(text) {
+  const gsm = GSM_CHARS.test(text);
+  return { encoding: gsm ? 'GSM-7' : 'UCS-2', single: gsm ? 160 : 70, perSegment: gsm ? 153 : 67 };
+}
+
+function smsSegments(text) {
+  const { single, perSegment } = smsLimits(text);
+  return text.length <= single ? 1 : Math.ceil(text.length / perSegment);
+}
+
+function smsMaxLength(text, maxSegments) {
+  const { single, perSegment } = smsLimits(text);
+  return maxSegments === 1 ? single : perSegment * maxSegments;
+}
+
+// Opt-out goes last so it is the final thing the recipient reads
+function orderForSms(disclosures) {
+  return [...disclosures.filter(d => !OPT_OUT.test(d)), ...disclosures.filter(d => OPT_OUT.test(d))];
+}
+
+// Takes the text's own opt-out sentence out so it can be put back at the very end.
+// atEnd says whether it was already the last thing in the message.
+function splitOptOut(text) {
+  const m = text.match(OPT_OUT_SENTENCE);
+  if (!m) return { body: text, optOut: null, atEnd: false };
+  const before = text.slice(0, m.index).trimEnd();
+  const after = text.slice(m.index + m[0].length).trimStart();
+  return { body: [before, after].filter(Boolean).join(' '), optOut: m[0].trim(), atEnd: !after };
+}
+
+function sentence(text) {
+  return /[.!?]$/.test(text) ? text : `${text}.`;
+}
+
+function stripDisclosure(text, disclosure) {
+  const words = disclosure.split(/\s+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return text.replace(new RegExp(`\\s*${words.join('\\s+')}\\.?`, 'ig'), '');
+}
+
+function shorten(body, maxLength) {
+  if (body.length <= maxLength) return body;
+  if (maxLength <= 3) return '';
+  const cut = body.slice(0, maxLength - 3);
+  const atWord = cut.replace(/\s+\S*$/, '');
+  return (atWord.length > maxLength / 2 ? atWord : cut).replace(/[\s,;:.-]+$/, '') + '...';
+}
+
+function enforceSms(text, p) {
+  const required = orderForSms(p.disclosures);
+  const missing = required.filter(d => !isPresent(text, d));
+  const base = { channel: 'sms', required, missing, appended: [], truncated: false, rejected: false };
+
+  if (missing.length && p.mode === 'reject') {
+    return { ...base, rejected: true, reason: 'missing_required_disclosures', text };
+  }
+
+  // Missing disclosures go before the opt-out already in the text, which stays last
+  const { body: withoutOptOut, optOut, atEnd } = splitOptOut(text);
+  let out = text;
+  if (missing.length || (optOut && !atEnd)) {
+    const closing = orderForSms(missing).map(sentence);
+    out = [withoutOptOut.trim(), ...closing, ...(optOut ? [optOut] : [])].filter(Boolean).join(' ');
+  }
+  const limit = smsMaxLength(out, p.maxSegments);
+  if (out.length > limit) {
+    // Rebuild as body + full disclosure footer so only the body gets shortened
+    let body = withoutOptOut;
+    for (const d of required) body = stripDisclosure(body, d);
+    const keepOwnOptOut = optOut && !required.some(d => OPT_OUT.test(d));
+    const footer = [...required.map(sentence), ...(keepOwnOptOut ? [optOut] : [])].join(' ');
+    const room = smsMaxLength(body + footer, p.maxSegments) - footer.length - 1;
+    if (room < 20) {
+      return { ...base, rejected: true, reason: 'disclosures_exceed_sms_length', text, max_length: limit };
+    }
+    out = `${shorten(body.trim(), room)} ${footer}`;
+    return finishSms({ ...base, appended: missing, truncated: true }, out, p);
+  }
+  return finishSms({ ...base, appended: missing }, out, p);
+}
+
+function finishSms(result, text, p) {
+  const { encoding } = smsLimits(text);
+  return { ...result, text, length: text.length, encoding, segments: smsSegments(text), max_segments: p.maxSegments };
+}
+
+function enforceEmail(text, p) {
+  const required = p.disclosures.filter(d => !SMS_ONLY.test(d));
+  const missing = required.filter(d => !isPresent(text, d));
+  const base = { channel: 'email', required, missing, appended: [], truncated: false, rejected: false };
+
+  if (missing.length && p.mode === 'reject') {
+    return { ...base, rejected: true, reason: 'missing_required_disclosures', text };
+  }
+  if (!missing.length) return { ...base, text };
+
+  const isHtml = /<\/(?:body|html|p|div)>/i.test(text);
+  let out;
+  if (isHtml) {
+    const footer = `<p style="font-size:12px;color:#666">${missing.join(' | ')}</p>`;
+    out = /<\/body>/i.test(text) ? text.replace(/<\/body>/i, `${footer}</body>`) : text + footer;
+  } else {
+    out = `${text.trimEnd()}\n\n${missing.join(' | ')}`;
+  }
+  return { ...base, appended: missing, text: out };
+}
+
+// channel: 'sms' | 'email'. Returns { text, rejected, reason?, missing, appended, ... }
+function enforce(text, channel, overrides) {
+  const p = policy(overrides);
+  const source = typeof text === 'string' ? text : '';
+  return channel === 'sms' ? enforceSms(source, p) : enforceEmail(source, p);
+}
+
+module.exports = {
+  policy,
+  enforce,
+  isPresent,
+  smsSegments
+};
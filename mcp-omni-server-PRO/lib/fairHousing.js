@@ -0,0 +1,193 @@
+// ---------- Fair Housing content analyzer ----------
+// Rule-based scan of email, SMS and video-script text against a lexicon of phrases HUD
+// treats as indicating a preference, limitation or discrimination (24 CFR 100.75 and the
+// HUD advertising guidance). Each hit is reported as a span with character offsets, the
+// protected class it touches, a severity and neutral alternatives. High-severity hits
+// block deployment; medium and low are surfaced for review.
+//
+// The lexicon is data: add or tune entries here and bump LEXICON_VERSION.
+
+const LEXICON_VERSION = '2026.10.1';
+
+const SEVERITY_WEIGHT = { high: 0.6, medium: 0.25, low: 0.08 };
+const SEVERITY_RANK = { none: 0, low: 1, medium: 2, high: 3 };
+
+const LEXICON = [
+  // Familial status
+  { id: 'fam-no-children', category: 'familial_status', severity: 'high', pattern: 'no (?:children|kids|minors|teen(?:ager)?s)', alternatives: ['available to all qualified buyers'], reason: 'States a limitation based on familial status' },
+  { id: 'fam-adults-only', category: 'familial_status', severity: 'high', pattern: 'adults? only|adult (?:community|building)', alternatives: ['quiet community'], reason: 'Excludes households with children (permitted only for qualifying 55+ housing)' },
+  { id: 'fam-singles-only', category: 'familial_status', severity: 'high', pattern: '(?:singles|couples) only', alternatives: ['available to all qualified buyers'], reason: 'Limits occupancy by household composition' },
+  { id: 'fam-perfect-for-families', category: 'familial_status', severity: 'medium', pattern: '(?:perfect|ideal|great) for (?:young |growing |large )?(?:famil(?:y|ies)|kids|children)', alternatives: ['spacious floor plan', 'room to grow'], reason: 'Expresses a preference for a household type; describe the property instead' },
+  { id: 'fam-couples', category: 'familial_status', severity: 'medium', pattern: '(?:perfect|ideal|great) for (?:young )?(?:couples?|newlyweds|singles|empty[- ]nesters|bachelors?)', alternatives: ['low-maintenance living', 'efficient floor plan'], reason: 'Expresses a preference for a household type' },
+  { id: 'fam-empty-nesters', category: 'familial_status', severity: 'medium', pattern: 'empty[- ]nesters?', alternatives: ['buyers looking to downsize'], reason: 'Targets buyers by family status' },
+  { id: 'fam-family-neighborhood', category: 'familial_status', severity: 'low', pattern: 'family[- ]friendly (?:neighborhood|community|area)', alternatives: ['neighborhood with parks and playgrounds nearby'], reason: 'Can read as steering by familial status; name the amenities' },
+
+  // Age (steering toward or away from age groups outside exempt 55+ housing)
+  { id: 'age-young-professionals', category: 'familial_status', severity: 'medium', pattern: 'young professionals?', alternatives: ['close to employment centers'], reason: 'Targets buyers by age and household type' },
+  { id: 'age-retirees', category: 'familial_status', severity: 'medium', pattern: '(?:perfect|ideal|great) for (?:retirees|seniors|the elderly)|seniors? only|mature (?:couples?|persons?|individuals?|adults?)', alternatives: ['single-level living', 'low-maintenance home'], reason: 'Targets buyers by age outside qualifying 55+ housing' },
+
+  // Religion
+  { id: 'rel-community', category: 'religion', severity: 'high', pattern: '(?:christian|catholic|protestant|jewish|muslim|islamic|hindu|mormon|lds|evangelical) (?:home|homes|community|neighborhood|area|family|families|buyers?)', alternatives: ['welcoming community'], reason: 'Describes residents or buyers by religion' },
+  { id: 'rel-near-worship', category: 'religion', severity: 'medium', pattern: '(?:near|close to|walk to|steps from) (?:the |a )?(?:church|synagogue|mosque|temple|cathedral|parish)', alternatives: ['near community landmarks', 'close to local amenities'], reason: 'Religious landmarks used as selling points can signal a religious preference' },
+
+  // Race, color, national origin
+  { id: 'race-community', category: 'race_color_national_origin', severity: 'high', pattern: '(?:white|black|caucasian|african[- ]american|hispanic|latino|latina|asian|mexican|chinese|indian|korean|european|arab|middle[- ]eastern) (?:neighborhood|community|area|families|family|buyers?|residents?|enclave)', alternatives: ['established neighborhood'], reason: 'Describes residents or buyers by race or national origin' },
+  { id: 'origin-english-only', category: 'race_color_national_origin', severity: 'high', pattern: 'english[- ]speaking (?:only|buyers?|residents?)|(?:no|without) (?:immigrants|foreigners)|american[- ]born|(?:us|u\\.s\\.) citizens? only', alternatives: ['available to all qualified buyers'], reason: 'Limits buyers by national origin' },
+  { id: 'race-ethnic', category: 'race_color_national_origin', severity: 'medium', pattern: 'ethnic (?:neighborhood|area|community)|integrated (?:neighborhood|community)|(?:exclusive|restricted|segregated) (?:neighborhood|community|area)', alternatives: ['gated community', 'private community'], reason: 'Coded language associated with racial steering' },
+
+  // Disability
+  { id: 'dis-exclusion', category: 'disability', severity: 'high', pattern: 'no (?:wheelchairs?|disabled|handicapped|mentally ill|service animals)|not (?:suitable|ideal) for (?:the )?(?:disabled|handicapped)|able[- ]bodied|must be able to (?:climb|walk|use) stairs', alternatives: ['property has stairs to the main level', 'second-floor unit'], reason: 'States a limitation based on disability; describe the physical feature instead' },
+  { id: 'dis-handicapped', category: 'disability', severity: 'low', pattern: 'handicap(?:ped)?(?: accessible)?', alternatives: ['accessible', 'wheelchair accessible'], reason: 'Outdated term; describe the accessibility feature' },
+
+  // Sex
+  { id: 'sex-only', category: 'sex', severity: 'high', pattern: '(?:male|female|men|women|man|woman) only|(?:no|not for) (?:men|women)', alternatives: ['available to all qualified buyers'], reason: 'States a limitation based on sex' },
+  { id: 'sex-bachelor-pad', category: 'sex', severity: 'medium', pattern: 'bachelor(?:ette)? pad|man cave|perfect for (?:a )?(?:man|woman|gentleman|lady)', alternatives: ['bonus room', 'flex space'], reason: 'Expresses a preference based on sex' },
+  { id: 'sex-master', category: 'sex', severity: 'low', pattern: 'master (?:bedroom|suite|bath|bathroom)', alternatives: ['primary bedroom', 'primary suite'], reason: 'Industry guidance prefers neutral room names' },
+
+  // Steering language that is not tied to a single class
+  { id: 'steer-kind-of-people', category: 'steering', severity: 'high', pattern: '(?:the )?(?:right|wrong) (?:kind of |type of )?(?:people|crowd|element)|people like (?:you|us)|undesirables?', alternatives: ['describe the property and its features'], reason: 'Steering based on who lives in an area' },
+  { id: 'steer-fit-in', category: 'steering', severity: 'medium', pattern: "you(?:'ll| will) fit (?:right )?in|(?:safe|safer|safest) (?:neighborhood|area|community)|low[- ]crime (?:neighborhood|area)", alternatives: ['well-established neighborhood'], reason: 'Subjective safety or fit claims can act as steering' },
+  { id: 'steer-schools', category: 'steering', severity: 'low', pattern: '(?:good|great|best|better|top) schools?|(?:good|great|best) school district', alternatives: ['local schools', 'zoned for <district name> schools'], reason: 'Name the school district instead of ranking it' }
+].map(rule => ({ ...rule, regex: new RegExp(`\\b(?:${rule.pattern})\\b`, 'gi') }));
+
+// Prefer the higher-severity, then longer, match when two rules hit overlapping text
+function removeOverlaps(spans) {
+  const sorted = [...spans].sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+  const kept = [];
+  for (const span of sorted) {
+    if (!kept.some(k => span.start < k.end && k.start < span.end)) kept.push(span);
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+// Only medium/low hits are rewritten automatically; a high-severity hit needs a human to
+// rephrase the sentence, so no suggested text is produced for it.
+function rewrite(text, spans) {
+  if (spans.some(s => s.severity === 'high')) return null;
+  let out = '';
+  let cursor = 0;
+  for (const span of spans) {
+    const alt = span.suggested_alternatives[0];
+    const capitalized = /^[A-Z]/.test(span.text) ? alt[0].toUpperCase() + alt.slice(1) : alt;
+    out += text.slice(cursor, span.start) + capitalized;
+    cursor = span.end;
+  }
+  return out + text.slice(cursor);
+}
+
+function findSpans(text) {
+  const spans = [];
+  for (const rule of LEXICON) {
+    rule.regex.lastIndex = 0;
+    let m;
+    while ((m = rule.regex.exec(text)) !== null) {
+      spans.push({
+        start: m.index,
+        end: m.index + m[0].length,
+        text: m[0],
+        rule_id: rule.id,
+        category: rule.category,
+        severity: rule.severity,
+        reason: rule.reason,
+        suggested_alternatives: rule.alternatives
+      });
+    }
+  }
+  return removeOverlaps(spans);
+}
+
+// `scanned` is false when there was no text to read; such content is never reported as clean
+function summarize(flagged, suggestedText, scanned) {
+  const severity = flagged.reduce((max, s) => SEVERITY_RANK[s.severity] > SEVERITY_RANK[max] ? s.severity : max, 'none');
+  const riskScore = Math.min(1, flagged.reduce((sum, s) => sum + SEVERITY_WEIGHT[s.severity], 0));
+  return {
+    lexicon_version: LEXICON_VERSION,
+    scanned,
+    flagged_spans: flagged,
+    categories: [...new Set(flagged.map(s => s.category))],
+    counts: {
+      high: flagged.filter(s => s.severity === 'high').length,
+      medium: flagged.filter(s => s.severity === 'medium').length,
+      low: flagged.filter(s => s.severity === 'low').length
+    },
+    max_severity: severity,
+    risk_score: Math.round(riskScore * 100) / 100,
+    compliance_score: Math.round((1 - riskScore) * 100) / 100,
+    blocked: severity === 'high',
+    suggested_text: suggestedText
+  };
+}
+
+function analyze(text) {
+  const source = typeof text === 'string' ? text : '';
+  const flagged = findSpans(source);
+  return summarize(flagged, flagged.length ? rewrite(source, flagged) : source, source.trim() !== '');
+}
+
+const MAX_DEPTH = 8;
+
+// Every string in the object with its dotted path ("html", "blocks.0.text"). Anything nested
+// deeper than MAX_DEPTH comes back with text null: it was not read.
+function textFields(value, path = [], out = []) {
+  if (typeof value === 'string') {
+    if (value.trim()) out.push({ path, text: value });
+  } else if (value && typeof value === 'object') {
+    if (path.length >= MAX_DEPTH) out.push({ path, text: null });
+    else for (const [key, child] of Object.entries(value)) textFields(child, [...path, key], out);
+  }
+  return out;
+}
+
+function setPath(target, path, value) {
+  let node = target;
+  for (const key of path.slice(0, -1)) node = node[key];
+  node[path[path.length - 1]] = value;
+}
+
+// Content arrives as a plain string or as an object such as {subject, body}. Every string in
+// an object is scanned whatever its key; spans carry the field's path, and their offsets are
+// relative to that field. As with a string, a high-severity hit in any field means no
+// suggested text for the whole object.
+function analyzeContent(content) {
+  if (!content || typeof content !== 'object') return analyze(content);
+  const fields = textFields(content);
+  const flagged = [];
+  const suggested = JSON.parse(JSON.stringify(content));
+  for (const { path, text } of fields) {
+    if (text === null) continue;
+    const spans = findSpans(text);
+    flagged.push(...spans.map(s => ({ field: path.join('.'), ...s })));
+    if (spans.length) setPath(suggested, path, rewrite(text, spans));
+  }
+  const scanned = fields.length > 0 && fields.every(f => f.text !== null);
+  return summarize(flagged, flagged.some(s => s.severity === 'high') ? null : suggested, scanned);
+}
+
+// Review status of one analyzed piece: content with no text to scan is never approved
+function statusOf(result) {
+  if (result.blocked) return 'rejected';
+  if (!result.scanned) return 'not_scanned';
+  return result.flagged_spans.length ? 'review_required' : 'approved';
+}
+
+// Status of a set of pieces: approved only when there is at least one and every one is
+function overallStatus(results) {
+  const statuses = results.map(statusOf);
+  if (statuses.includes('rejected')) return 'rejected';
+  return statuses.length && statuses.every(s => s === 'approved') ? 'approved' : 'review_required';
+}
+
+// risk_threshold is the highest severity a caller accepts without human review
+function exceedsThreshold(result, threshold = 'low') {
+  return SEVERITY_RANK[result.max_severity] > (SEVERITY_RANK[threshold] ?? SEVERITY_RANK.low);
+}
+
+module.exports = {
+  LEXICON_VERSION,
+  LEXICON,
+  analyze,
+  analyzeContent,
+  statusOf,
+  overallStatus,
+  exceedsThreshold
+};
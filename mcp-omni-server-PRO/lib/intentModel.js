@@ -0,0 +1,196 @@
+// ---------- Buyer intent model ----------
+// Deterministic logistic model over the buyer fields n8n sends plus the output of
+// extractBuyerSignalsFromContent. Each feature is scaled to 0..1 and multiplied by a
+// fixed weight; the weighted sum goes through a sigmoid. Because every term is reported
+// back as a contribution, a score can always be traced to the fields that produced it.
+// Change a weight or feature and MODEL_VERSION must change with it.
+
+const MODEL_NAME = 'buyer_intent_logistic';
+const MODEL_VERSION = '1.0.0';
+const MODEL_ID = `${MODEL_NAME}@${MODEL_VERSION}`;
+
+const INTENT_MODEL = {
+  bias: -2.5,
+  weights: {
+    content_immediate_intent: 2.2,
+    content_high_intent: 1.4,
+    content_medium_intent: 0.6,
+    timeline: 1.6,
+    pre_approved: 1.5,
+    cash_buyer: 1.2,
+    engagement: 1.0,
+    property_views: 0.8,
+    behavior_signals: 1.0,
+    budget_known: 0.5,
+    relocation: 0.4,
+    contactable: 0.3
+  }
+};
+
+const READINESS_MODEL = {
+  bias: -2.0,
+  weights: {
+    pre_approved: 2.0,
+    cash_buyer: 2.0,
+    budget_known: 0.8,
+    timeline: 1.2,
+    content_immediate_intent: 0.6,
+    home_sale_contingency: -0.4,
+    first_time_buyer: -0.3
+  }
+};
+
+const URGENCY_MODEL = {
+  weights: { timeline: 0.5, content_immediate_intent: 0.3, content_urgency: 0.2 }
+};
+
+const TIMELINE_SCALE = [
+  [/immediate|asap|\bnow\b|30[_\s-]?days|\b1[_\s-]?month/i, 1],
+  [/3[_\s-]?months?|90[_\s-]?days|within[_\s]?3/i, 0.7],
+  [/6[_\s-]?months?|within[_\s]?6/i, 0.4],
+  [/12[_\s-]?months?|year|long[_\s-]?term|just[_\s]?looking/i, 0.1]
+];
+
+// behavior_signals values that indicate a buyer is past casual browsing
+const STRONG_BEHAVIORS = ['mortgage_research', 'showing_request', 'saved_search', 'property_search', 'open_house_visit', 'agent_contact', 'price_alert', 'offer_inquiry'];
+
+function clamp01(n) {
+  return Math.max(0, Math.min(1, n));
+}
+
+// + 0 turns the -0 of a negative weight times 0 into 0
+function round(n, places = 3) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f + 0;
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function timelineValue(timeline) {
+  if (!timeline || typeof timeline !== 'string') return null;
+  const hit = TIMELINE_SCALE.find(([re]) => re.test(timeline));
+  return hit ? hit[1] : null;
+}
+
+function engagementValue(engagement) {
+  if (typeof engagement === 'number') return clamp01(engagement > 1 ? engagement / 100 : engagement);
+  if (engagement && typeof engagement === 'object') {
+    if (engagement.high) return 1;
+    if (engagement.medium) return 0.5;
+    if (engagement.low) return 0.2;
+  }
+  if (typeof engagement === 'string') return { high: 1, medium: 0.5, low: 0.2 }[engagement.toLowerCase()] ?? null;
+  return null;
+}
+
+// Every feature is { value: 0..1, observed, source }. `observed` is false when no input
+// field carried the information, which feeds the confidence figures.
+function extractFeatures(buyer = {}, signals = {}) {
+  const intent = signals.buyerIntent || {};
+  const types = signals.buyerType || {};
+  const hasContent = !!signals.buyerIntent;
+  const buyerType = String(buyer.buyer_type || buyer.buyerType || '').toLowerCase();
+  const f = {};
+  const set = (name, value, observed, source) => { f[name] = { value: round(clamp01(value || 0)), observed: !!observed, source }; };
+
+  set('content_immediate_intent', intent.immediate ? 1 : 0, hasContent, 'content_signals');
+  set('content_high_intent', intent.high ? 1 : 0, hasContent, 'content_signals');
+  set('content_medium_intent', intent.medium ? 1 : 0, hasContent, 'content_signals');
+  set('content_urgency', (signals.urgencyScore || 0) / 35, hasContent, 'content_signals');
+
+  const timeline = timelineValue(buyer.timeline);
+  set('timeline', timeline ?? (intent.immediate ? 1 : 0), timeline !== null || intent.immediate, timeline !== null ? 'buyer.timeline' : 'content_signals');
+
+  const preApproved = buyer.preApproved ?? buyer.pre_approved;
+  set('pre_approved', preApproved ? 1 : 0, preApproved !== undefined, 'buyer.preApproved');
+
+  const cashField = buyer.cashBuyer ?? buyer.cash_buyer;
+  set('cash_buyer', cashField || types.cash || buyerType === 'cash' ? 1 : 0, cashField !== undefined || hasContent || !!buyerType, cashField !== undefined ? 'buyer.cashBuyer' : 'content_signals');
+
+  const engagement = engagementValue(buyer.engagement ?? buyer.engagement_score);
+  set('engagement', engagement ?? 0, engagement !== null, 'buyer.engagement');
+
+  const views = Number(buyer.propertyViews ?? buyer.property_views);
+  set('property_views', isFinite(views) ? Math.min(views, 10) / 10 : 0, isFinite(views), 'buyer.propertyViews');
+
+  const behaviors = Array.isArray(buyer.behavior_signals) ? buyer.behavior_signals.map(b => String(b).toLowerCase()) : null;
+  set('behavior_signals', behaviors ? behaviors.filter(b => STRONG_BEHAVIORS.includes(b)).length / 3 : 0, !!behaviors, 'buyer.behavior_signals');
+
+  set('budget_known', buyer.budget || signals.priceRange ? 1 : 0, true, buyer.budget ? 'buyer.budget' : 'content_signals');
+  set('relocation', types.military || /military|pcs|relocat/.test(buyerType) ? 1 : 0, hasContent || !!buyerType, buyerType ? 'buyer.buyer_type' : 'content_signals');
+  set('contactable', buyer.email || buyer.phone ? 1 : 0, true, 'buyer.email/phone');
+  set('home_sale_contingency', buyer.selling_property ? 1 : 0, buyer.selling_property !== undefined, 'buyer.selling_property');
+  set('first_time_buyer', types.firstTime || /first/.test(buyerType) ? 1 : 0, hasContent || !!buyerType, buyerType ? 'buyer.buyer_type' : 'content_signals');
+
+  return f;
+}
+
+function evaluate(model, features) {
+  const contributions = Object.entries(model.weights).map(([name, weight]) => ({
+    feature: name,
+    value: features[name].value,
+    weight,
+    contribution: round(weight * features[name].value),
+    observed: features[name].observed,
+    source: features[name].source
+  }));
+  const z = (model.bias || 0) + contributions.reduce((sum, c) => sum + c.contribution, 0);
+  contributions.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution) || a.feature.localeCompare(b.feature));
+  // Confidence is the weight share of features we actually had data for
+  const totalWeight = contributions.reduce((sum, c) => sum + Math.abs(c.weight), 0);
+  const observedWeight = contributions.filter(c => c.observed).reduce((sum, c) => sum + Math.abs(c.weight), 0);
+  return { bias: model.bias || 0, logit: round(z), contributions, coverage: round(observedWeight / totalWeight) };
+}
+
+function preferredChannel(buyer, intentScore) {
+  const stated = String(buyer.preferred_contact || buyer.communication_preference || '').toLowerCase();
+  if (['email', 'phone', 'text'].includes(stated)) return stated;
+  if (buyer.phone && intentScore >= 0.8) return 'phone';
+  if (buyer.phone) return 'text';
+  return 'email';
+}
+
+function scoreBuyer(buyer = {}, signals = {}) {
+  const features = extractFeatures(buyer, signals);
+  const intent = evaluate(INTENT_MODEL, features);
+  const readiness = evaluate(READINESS_MODEL, features);
+  const urgencyContributions = Object.entries(URGENCY_MODEL.weights).map(([name, weight]) => ({
+    feature: name, value: features[name].value, weight, contribution: round(weight * features[name].value)
+  }));
+
+  const intentScore = round(sigmoid(intent.logit), 2);
+  const readinessScore = round(sigmoid(readiness.logit), 2);
+  const urgencyScore = round(clamp01(urgencyContributions.reduce((sum, c) => sum + c.contribution, 0)), 2);
+
+  return {
+    model_id: MODEL_ID,
+    intent_score: intentScore,
+    readiness_score: readinessScore,
+    urgency_score: urgencyScore,
+    communication_preference: preferredChannel(buyer, intentScore),
+    confidence: {
+      intent: intent.coverage,
+      readiness: readiness.coverage,
+      overall: round((intent.coverage + readiness.coverage) / 2)
+    },
+    explanation: {
+      intent: { bias: intent.bias, logit: intent.logit, contributions: intent.contributions },
+      readiness: { bias: readiness.bias, logit: readiness.logit, contributions: readiness.contributions },
+      urgency: { contributions: urgencyContributions },
+      top_factors: intent.contributions.filter(c => c.contribution > 0).slice(0, 3).map(c => c.feature),
+      missing_inputs: [...new Set(intent.contributions.concat(readiness.contributions).filter(c => !c.observed).map(c => c.source))]
+    }
+  };
+}
+
+module.exports = {
+  MODEL_ID,
+  MODEL_NAME,
+  MODEL_VERSION,
+  INTENT_MODEL,
+  READINESS_MODEL,
+  extractFeatures,
+  scoreBuyer
+};
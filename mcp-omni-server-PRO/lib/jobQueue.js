@@ -0,0 +1,275 @@
+// ---------- Background job queue ----------
+// Long-running workflows run here instead of inside an HTTP request. A job type is defined
+// once as an ordered list of phases; each phase's output is saved to the job record as soon
+// as the phase finishes, so GET /api/jobs/:id can show partial results and a job that was
+// running when the process restarted resumes at the first unfinished phase.
+//
+// Concurrency is limited per job type (jobSettings.concurrency[type], else the type's
+// default); extra jobs wait in "queued". Cancelling sets a flag that the running phase sees
+// at its next ctx.checkpoint() or ctx.sleep(), so a run stops between units of work.
+// A job runs as the tenant that submitted it (lib/requestContext), even after a restart, and
+// its log lines carry its jobId.
+
+const crypto = require('crypto');
+const { createCollection } = require('./jsonStore');
+const marketConfig = require('./marketConfig');
+const requestContext = require('./requestContext');
+const logger = require('./logger');
+
+const STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const TERMINAL = ['succeeded', 'failed', 'cancelled'];
+const DEFAULT_MAX_QUEUED = 20;
+const DEFAULT_RETENTION_DAYS = 14;
+const MAX_RESUMES = 3;
+
+const types = new Map();
+const active = new Map(); // id -> { cancel() } for jobs running in this process
+const live = new Map(); // id -> latest in-phase progress; not persisted
+let collection = null;
+
+function store() {
+  if (!collection) collection = createCollection('jobs');
+  return collection;
+}
+
+function open(options) {
+  collection = createCollection('jobs', options);
+  return collection;
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function jobSettings() {
+  return marketConfig.settings().jobSettings || {};
+}
+
+function limitFor(type) {
+  return (jobSettings().concurrency || {})[type] || types.get(type)?.concurrency || 1;
+}
+
+function cancelledError() {
+  const err = new Error('job cancelled');
+  err.code = 'job_cancelled';
+  return err;
+}
+
+function update(id, changes) {
+  const job = store().get(id);
+  return store().put(id, { ...job, ...changes, updated_at: now() });
+}
+
+function updatePhase(id, name, changes) {
+  const job = store().get(id);
+  return update(id, { phases: job.phases.map(p => p.name === name ? { ...p, ...changes } : p) });
+}
+
+// phases: [{ name, run: async ctx => output }]; finalize(state, params) builds job.result
+function define(type, { phases, finalize, concurrency = 1 }) {
+  types.set(type, { phases, finalize, concurrency });
+}
+
+// Returns { job } or { error: 'unknown_type' | 'queue_full', limit? }
+function submit(type, params = {}, { source = 'api' } = {}) {
+  const def = types.get(type);
+  if (!def) return { error: 'unknown_type' };
+  const maxQueued = jobSettings().maxQueued || DEFAULT_MAX_QUEUED;
+  const queued = store().all().filter(j => j.type === type && j.status === 'queued').length;
+  if (queued >= maxQueued) return { error: 'queue_full', limit: maxQueued };
+
+  const id = `job_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`;
+  const job = store().put(id, {
+    id,
+    type,
+    status: 'queued',
+    params,
+    source,
+    tenant: requestContext.tenantId(),
+    phases: def.phases.map(p => ({ name: p.name, status: 'pending', started_at: null, finished_at: null, error: null })),
+    state: {},
+    errors: [],
+    result: null,
+    cancel_requested: false,
+    resumed_count: 0,
+    created_at: now(),
+    started_at: null,
+    finished_at: null,
+    updated_at: now()
+  });
+  setImmediate(pump);
+  return { job };
+}
+
+// Start queued jobs, oldest first, while their type has a free slot
+function pump() {
+  const queued = store().all()
+    .filter(j => j.status === 'queued' && types.has(j.type))
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  for (const job of queued) {
+    const runningOfType = store().all().filter(j => j.type === job.type && j.status === 'running').length;
+    if (runningOfType < limitFor(job.type)) {
+      requestContext.run({ tenant: tenantOf(job), jobId: job.id, jobType: job.type }, () => execute(job.id));
+    }
+  }
+}
+
+async function execute(id) {
+  const def = types.get(store().get(id).type);
+  let cancelled = false;
+  const wakers = new Set();
+  active.set(id, {
+    cancel() {
+      cancelled = true;
+      for (const wake of wakers) wake();
+    }
+  });
+  const job = update(id, { status: 'running', started_at: store().get(id).started_at || now() });
+
+  const ctx = {
+    id,
+    params: job.params,
+    state: { ...job.state },
+    checkpoint() {
+      if (cancelled) throw cancelledError();
+    },
+    // Cancellable delay; resolves early and throws once the job is cancelled
+    sleep(ms) {
+      return new Promise((resolve, reject) => {
+        const done = () => {
+          clearTimeout(timer);
+          wakers.delete(done);
+          if (cancelled) reject(cancelledError());
+          else resolve();
+        };
+        const timer = setTimeout(done, ms);
+        wakers.add(done);
+      });
+    },
+    progress(detail) {
+      live.set(id, { ...detail, at: now() });
+    }
+  };
+
+  try {
+    for (const phase of def.phases) {
+      const current = store().get(id).phases.find(p => p.name === phase.name);
+      if (current.status === 'completed' || current.status === 'skipped') continue;
+      ctx.checkpoint();
+      ctx.phase = phase.name;
+      live.delete(id);
+      updatePhase(id, phase.name, { status: 'running', started_at: now(), error: null });
+      const output = await phase.run(ctx);
+      ctx.checkpoint();
+      // A phase returns { skipped: true } when it had nothing to do
+      const skipped = output && output.skipped === true;
+      ctx.state[phase.name] = output === undefined ? null : output;
+      update(id, { state: { ...ctx.state } });
+      updatePhase(id, phase.name, { status: skipped ? 'skipped' : 'completed', finished_at: now() });
+    }
+    const result = def.finalize ? def.finalize(ctx.state, job.params, store().get(id)) : ctx.state;
+    update(id, { status: 'succeeded', result, finished_at: now() });
+    logger.info('job succeeded', { type: job.type });
+  } catch (e) {
+    const latest = store().get(id);
+    const runningPhase = latest.phases.find(p => p.status === 'running');
+    if (runningPhase) {
+      updatePhase(id, runningPhase.name, { status: e.code === 'job_cancelled' ? 'cancelled' : 'failed', finished_at: now(), error: e.code === 'job_cancelled' ? null : e.message });
+    }
+    if (e.code === 'job_cancelled') {
+      update(id, { status: 'cancelled', finished_at: now() });
+      logger.info('job cancelled', { type: job.type, phase: runningPhase?.name || null });
+    } else {
+      logger.error('job failed', { type: job.type, phase: runningPhase?.name || null, error: e.message });
+      update(id, {
+        status: 'failed',
+        finished_at: now(),
+        errors: [...latest.errors, { phase: runningPhase?.name || null, error: e.message, at: now() }]
+      });
+    }
+  } finally {
+    active.delete(id);
+    live.delete(id);
+    setImmediate(pump);
+  }
+}
+
+// Returns { job } or { error: 'not_found' | 'already_finished' }
+function cancel(id) {
+  const job = store().get(id);
+  if (!job) return { error: 'not_found' };
+  if (TERMINAL.includes(job.status)) return { error: 'already_finished', job };
+  if (job.status === 'queued') return { job: update(id, { status: 'cancelled', cancel_requested: true, finished_at: now() }) };
+  const updated = update(id, { cancel_requested: true });
+  active.get(id)?.cancel();
+  return { job: updated };
+}
+
+function get(id) {
+  const job = store().get(id);
+  if (!job) return null;
+  const progress = live.get(id);
+  return progress ? { ...job, progress } : job;
+}
+
+function tenantOf(job) {
+  return job.tenant || requestContext.DEFAULT_TENANT;
+}
+
+function list({ type, status, tenant, limit = 50, offset = 0 } = {}) {
+  const rows = store().all()
+    .filter(j => !tenant || tenantOf(j) === tenant)
+    .filter(j => !type || j.type === type)
+    .filter(j => !status || j.status === status)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  return { total: rows.length, jobs: rows.slice(offset, offset + limit) };
+}
+
+// Queued and running jobs per type, for /metrics
+function depths() {
+  const out = {};
+  for (const type of types.keys()) out[type] = { queued: 0, running: 0 };
+  for (const job of store().all()) {
+    if (job.status !== 'queued' && job.status !== 'running') continue;
+    out[job.type] = out[job.type] || { queued: 0, running: 0 };
+    out[job.type][job.status]++;
+  }
+  return out;
+}
+
+// On boot: jobs that were running resume at their first unfinished phase (up to MAX_RESUMES
+// times, so a job that crashes the process cannot loop forever); old finished jobs are pruned.
+function start() {
+  const retentionDays = jobSettings().retentionDays || DEFAULT_RETENTION_DAYS;
+  const cutoff = Date.now() - retentionDays * 86400000;
+  for (const job of store().all()) {
+    if (TERMINAL.includes(job.status) && Date.parse(job.finished_at || job.updated_at) < cutoff) {
+      store().remove(job.id);
+    } else if (job.status === 'running') {
+      const phases = job.phases.map(p => p.status === 'running' ? { ...p, status: 'pending', started_at: null } : p);
+      if (job.cancel_requested) {
+        update(job.id, { status: 'cancelled', phases, finished_at: now() });
+      } else if (job.resumed_count >= MAX_RESUMES) {
+        update(job.id, { status: 'failed', phases, finished_at: now(), errors: [...job.errors, { phase: null, error: `interrupted ${job.resumed_count + 1} times; not resumed again`, at: now() }] });
+      } else {
+        update(job.id, { status: 'queued', phases, resumed_count: job.resumed_count + 1 });
+      }
+    }
+  }
+  setImmediate(pump);
+}
+
+module.exports = {
+  STATUSES,
+  TERMINAL,
+  open,
+  define,
+  submit,
+  cancel,
+  get,
+  list,
+  limitFor,
+  tenantOf,
+  depths,
+  start
+};
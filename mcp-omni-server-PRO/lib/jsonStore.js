@@ -0,0 +1,75 @@
+// ---------- Append-only JSON collection store ----------
+// Each collection is a JSON-lines log under DATA_DIR. Every write appends one
+// {op, id, record} line; on open the log is replayed into memory. When the log grows
+// well past the number of live records it is compacted into a fresh file and swapped
+// in with a rename, so a crash mid-compaction leaves the old log intact.
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const COMPACT_MIN_LINES = 1000;
+
+function createCollection(name, { dir = DATA_DIR } = {}) {
+  const file = path.join(dir, `${name}.jsonl`);
+  const records = new Map();
+  let lines = 0;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  if (fs.existsSync(file)) {
+    const raw = fs.readFileSync(file, 'utf8').split('\n');
+    raw.forEach((line, i) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A torn final line from a crash is expected; anything earlier is worth a warning
+        if (i < raw.length - 2) logger.warn('skipping unreadable store line', { store: name, line: i + 1 });
+        return;
+      }
+      lines++;
+      if (entry.op === 'put') records.set(entry.id, entry.record);
+      else if (entry.op === 'del') records.delete(entry.id);
+    });
+  }
+
+  function append(entry) {
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    lines++;
+    if (lines > COMPACT_MIN_LINES && lines > records.size * 2) compact();
+  }
+
+  function compact() {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const body = [...records].map(([id, record]) => JSON.stringify({ op: 'put', id, record })).join('\n');
+    fs.writeFileSync(tmp, body ? body + '\n' : '');
+    fs.renameSync(tmp, file);
+    lines = records.size;
+  }
+
+  return {
+    name,
+    file,
+    get: id => records.get(id) || null,
+    has: id => records.has(id),
+    all: () => [...records.values()],
+    size: () => records.size,
+    put(id, record) {
+      records.set(id, record);
+      append({ op: 'put', id, record });
+      return record;
+    },
+    remove(id) {
+      if (!records.has(id)) return false;
+      records.delete(id);
+      append({ op: 'del', id });
+      return true;
+    },
+    compact
+  };
+}
+
+module.exports = { createCollection, DATA_DIR };
@@ -0,0 +1,238 @@
+// ---------- Persistent lead store ----------
+// Leads live in the "leads" JSON-lines collection. A lead is matched on email, phone
+// (last 10 digits) or source URL, so the same person found by discovery, scored, deduped
+// and pushed to GHL stays one record. Every change appends to lead.history, which is
+// what lets a lead keep its trail across calls and restarts.
+//
+// Each lead belongs to the tenant that created it (lib/requestContext); leads from before
+// tenants existed belong to the default tenant. Lookups, dedupe and listing only ever see the
+// current tenant's leads, so the same email under two tenants is two separate leads.
+
+const crypto = require('crypto');
+const { createCollection } = require('./jsonStore');
+const requestContext = require('./requestContext');
+
+const STATUSES = ['new', 'qualified', 'contacted', 'nurturing', 'appointment', 'closed', 'disqualified', 'merged'];
+const HISTORY_LIMIT = 200;
+
+// Fields a caller may set directly; everything else is derived or managed by the store
+const PROFILE_FIELDS = ['name', 'email', 'phone', 'city', 'state', 'zip', 'platform', 'title', 'content', 'notes', 'buyerType', 'timeline', 'budget', 'tags', 'status', 'ghl_contact_id', 'aiScore', 'priority', 'scoreFactors'];
+
+let collection = null;
+const keyIndex = new Map();
+
+function normEmail(v) {
+  return typeof v === 'string' && v.includes('@') ? v.trim().toLowerCase() : null;
+}
+
+function normPhone(v) {
+  const digits = String(v || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+function normUrl(v) {
+  if (typeof v !== 'string' || !/^https?:\/\//i.test(v)) return null;
+  return v.trim().replace(/#.*$/, '').replace(/\/+$/, '').toLowerCase();
+}
+
+function identityKeys(lead) {
+  const keys = [];
+  const email = normEmail(lead.email);
+  const phone = normPhone(lead.phone);
+  if (email) keys.push(`email:${email}`);
+  if (phone) keys.push(`phone:${phone}`);
+  for (const u of [lead.url, ...(lead.urls || [])]) {
+    const url = normUrl(u);
+    if (url) keys.push(`url:${url}`);
+  }
+  return [...new Set(keys)];
+}
+
+function tenantOf(lead) {
+  return lead.tenant || requestContext.DEFAULT_TENANT;
+}
+
+// The index is shared by all tenants, so its keys carry the tenant
+function indexKey(tenant, key) {
+  return `${tenant}|${key}`;
+}
+
+function indexLead(lead) {
+  if (lead.status === 'merged') return;
+  for (const k of identityKeys(lead)) keyIndex.set(indexKey(tenantOf(lead), k), lead.id);
+}
+
+function unindexLead(lead) {
+  for (const k of identityKeys(lead)) {
+    const key = indexKey(tenantOf(lead), k);
+    if (keyIndex.get(key) === lead.id) keyIndex.delete(key);
+  }
+}
+
+function open(options) {
+  collection = createCollection('leads', options);
+  keyIndex.clear();
+  for (const lead of collection.all()) indexLead(lead);
+  return collection;
+}
+
+function store() {
+  if (!collection) open();
+  return collection;
+}
+
+function newId() {
+  return `lead_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function pushHistory(lead, entry) {
+  lead.history.push({ at: new Date().toISOString(), ...entry });
+  if (lead.history.length > HISTORY_LIMIT) lead.history.splice(0, lead.history.length - HISTORY_LIMIT);
+}
+
+// Copy caller fields onto the lead, keeping existing values when the input is empty.
+// Returns the list of fields that actually changed, for the history entry.
+function applyFields(lead, input) {
+  const changed = [];
+  for (const f of PROFILE_FIELDS) {
+    const v = input[f];
+    if (v === undefined || v === null || v === '') continue;
+    if (f === 'tags') {
+      const merged = [...new Set([...(lead.tags || []), ...[].concat(v).map(String)])];
+      if (merged.length !== (lead.tags || []).length) { lead.tags = merged; changed.push(f); }
+      continue;
+    }
+    if (JSON.stringify(lead[f]) !== JSON.stringify(v)) {
+      lead[f] = v;
+      changed.push(f);
+    }
+  }
+  const url = typeof input.url === 'string' ? input.url : null;
+  for (const u of [url, ...(Array.isArray(input.urls) ? input.urls : [])]) {
+    if (normUrl(u) && !lead.urls.some(x => normUrl(x) === normUrl(u))) {
+      lead.urls.push(u);
+      if (!changed.includes('urls')) changed.push('urls');
+    }
+  }
+  if (input.source && !lead.sources.includes(input.source)) {
+    lead.sources.push(input.source);
+    changed.push('sources');
+  }
+  return changed;
+}
+
+function findByIdentity(input) {
+  store();
+  const tenant = requestContext.tenantId();
+  for (const k of identityKeys(input)) {
+    const id = keyIndex.get(indexKey(tenant, k));
+    if (id) return get(id);
+  }
+  return null;
+}
+
+// The lead, or null when it does not exist or belongs to another tenant
+function get(id) {
+  const lead = id ? store().get(id) : null;
+  return lead && tenantOf(lead) === requestContext.tenantId() ? lead : null;
+}
+
+// Create or update by id or identity. `event` names the history entry ("discovered", "scored", ...)
+function upsert(input, { event = 'updated', source = null, details } = {}) {
+  const s = store();
+  const existing = get(input.lead_id) || get(input.id) || findByIdentity(input);
+  const now = new Date().toISOString();
+  const lead = existing
+    ? JSON.parse(JSON.stringify(existing))
+    : { id: newId(), tenant: requestContext.tenantId(), status: 'new', urls: [], sources: [], tags: [], history: [], created_at: now };
+
+  if (existing) unindexLead(existing);
+  const changes = applyFields(lead, { ...input, source: input.source || source });
+  if (!STATUSES.includes(lead.status)) lead.status = 'new';
+  lead.updated_at = now;
+  pushHistory(lead, { event: existing ? event : 'created', source, changes, ...(details ? { details } : {}) });
+  if (!existing && event !== 'created') pushHistory(lead, { event, source });
+
+  s.put(lead.id, lead);
+  indexLead(lead);
+  return { lead, created: !existing };
+}
+
+function update(id, patch, { event = 'updated', source = 'api' } = {}) {
+  if (!get(id)) return null;
+  return upsert({ ...patch, lead_id: id }, { event, source }).lead;
+}
+
+// Record something that happened to a lead without changing its profile
+function recordEvent(id, event, details) {
+  const existing = get(id);
+  if (!existing) return null;
+  const lead = JSON.parse(JSON.stringify(existing));
+  lead.updated_at = new Date().toISOString();
+  pushHistory(lead, { event, ...(details ? { details } : {}) });
+  return store().put(id, lead);
+}
+
+// Fold a duplicate into its master: the master inherits missing fields, URLs and history,
+// and the duplicate is kept as status "merged" pointing at the master.
+function merge(masterId, duplicateId, details) {
+  if (masterId === duplicateId) return get(masterId);
+  const s = store();
+  const master = get(masterId);
+  const dup = get(duplicateId);
+  if (!master || !dup) return null;
+
+  const fill = {};
+  for (const f of PROFILE_FIELDS) {
+    if ((master[f] === undefined || master[f] === null || master[f] === '') && dup[f] != null) fill[f] = dup[f];
+  }
+  const { lead } = upsert({ ...fill, urls: dup.urls, tags: dup.tags, lead_id: masterId }, { event: 'merged', details: { merged_from: duplicateId, ...details } });
+  for (const src of dup.sources) if (!lead.sources.includes(src)) lead.sources.push(src);
+
+  const mergedDup = JSON.parse(JSON.stringify(dup));
+  unindexLead(dup);
+  mergedDup.status = 'merged';
+  mergedDup.duplicate_of = masterId;
+  mergedDup.updated_at = new Date().toISOString();
+  pushHistory(mergedDup, { event: 'merged_into', details: { master_id: masterId, ...details } });
+  s.put(duplicateId, mergedDup);
+  s.put(masterId, lead);
+  indexLead(lead);
+  return lead;
+}
+
+function remove(id) {
+  const existing = get(id);
+  if (!existing) return false;
+  unindexLead(existing);
+  return store().remove(id);
+}
+
+function list({ status, source, q, minScore, includeMerged = false, limit = 50, offset = 0 } = {}) {
+  const needle = q ? String(q).toLowerCase() : null;
+  const tenant = requestContext.tenantId();
+  const rows = store().all()
+    .filter(l => tenantOf(l) === tenant)
+    .filter(l => includeMerged || status === 'merged' || l.status !== 'merged')
+    .filter(l => !status || l.status === status)
+    .filter(l => !source || l.sources.includes(source))
+    .filter(l => minScore == null || (l.aiScore || 0) >= minScore)
+    .filter(l => !needle || [l.name, l.email, l.phone, l.city, l.title, ...l.urls].some(v => v && String(v).toLowerCase().includes(needle)))
+    .sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''));
+  return { total: rows.length, leads: rows.slice(offset, offset + limit) };
+}
+
+module.exports = {
+  STATUSES,
+  PROFILE_FIELDS,
+  open,
+  get,
+  upsert,
+  update,
+  recordEvent,
+  merge,
+  remove,
+  list,
+  findByIdentity,
+  identityKeys
+};
@@ -0,0 +1,351 @@
+// ---------- Structured logging + provider call tracing ----------
+// One JSON object per line on stdout (stderr in MCP stdio mode), with a level and, when the
+// line was written while handling a request or job, that request's requestId, traceId and
+// tenant (or the jobId). LOG_LEVEL picks the lowest level written (debug, info, warn,
+// error; default info); LOG_FORMAT=pretty prints "time LEVEL msg key=value" for local work.
+//
+//   logger.info('lead stored', { lead_id })       logger.error('GHL sync failed', err)
+//
+// instrument(axiosInstance, { provider }) logs every outbound call as a span: provider,
+// method, URL, status, duration and retry attempt, parented to the inbound request's span.
+// middleware() opens that request span and logs one "request" line when the response ends.
+// onProviderCall(fn) hands each finished call to other observers (lib/metrics).
+//
+// Everything written is redacted first. Values under secret-looking keys (tokens, API keys,
+// passwords, cookies) and secret query parameters are replaced outright; emails, phone
+// numbers and addresses are masked unless LOG_REDACT_PII=false. With
+// OTEL_EXPORTER_OTLP_ENDPOINT set, spans and log lines also go to that collector
+// (lib/otlpExporter).
+
+const crypto = require('crypto');
+const requestContext = require('./requestContext');
+const otlpExporter = require('./otlpExporter');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 6;
+
+const SECRET_KEY = /passw(or)?d|passphrase|secret|token|api[-_]?key|access[-_]?key|authorization|cookie|session[-_]?id|credential|private[-_]?key|signature/i;
+const SECRET_PARAM = /^(key|sig|code)$/i;
+const EMAIL_KEY = /e-?mail/i;
+const PHONE_KEY = /phone|mobile|cell|fax/i;
+const PII_KEY = /^(ssn|dob|date_of_birth|address|street|street_address|address_line\d?)$/i;
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+// Needs separators, so ids and epoch timestamps are left alone
+const PHONE = /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-](\d{4})\b/g;
+const BEARER = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi;
+
+let threshold = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+let format = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+let redactPii = process.env.LOG_REDACT_PII !== 'false';
+let stream = process.stdout;
+let exporter;
+const callObservers = [];
+
+function configure(options = {}) {
+  if (options.level && LEVELS[options.level]) threshold = LEVELS[options.level];
+  if (options.format) format = options.format;
+  if (options.stream) stream = options.stream;
+  if (options.redactPii !== undefined) redactPii = options.redactPii;
+  if (options.exporter !== undefined) exporter = options.exporter;
+}
+
+function otlp() {
+  if (exporter === undefined) exporter = otlpExporter.fromEnv();
+  return exporter;
+}
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// ---------- Redaction ----------
+
+function redactString(value) {
+  let out = value.replace(BEARER, `$1 ${REDACTED}`);
+  if (redactPii) out = out.replace(EMAIL, '$1***@$2').replace(PHONE, '***-***-$1');
+  return out;
+}
+
+function maskEmail(value) {
+  return String(value).replace(EMAIL, '$1***@$2');
+}
+
+function maskPhone(value) {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length >= 4 ? `***-***-${digits.slice(-4)}` : REDACTED;
+}
+
+// Absolute URL with secret query parameters blanked and PII masked
+function redactUrl(url) {
+  if (!url) return url;
+  try {
+    const parsed = new URL(url, 'http://relative');
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (SECRET_KEY.test(name) || SECRET_PARAM.test(name)) parsed.searchParams.set(name, 'redacted');
+    }
+    if (parsed.username || parsed.password) parsed.username = parsed.password = '';
+    let out = parsed.origin === 'http://relative' ? parsed.pathname + parsed.search : parsed.toString();
+    try {
+      out = decodeURIComponent(out);
+    } catch {
+      // Keep it encoded; masking still catches most of it
+    }
+    return redactString(out);
+  } catch {
+    // Not a URL we can take apart: keep only what is before the query
+    return redactString(String(url).split('?')[0]);
+  }
+}
+
+function redactValue(key, value, depth) {
+  if (value === null || value === undefined) return value;
+  if (key && SECRET_KEY.test(key)) return REDACTED;
+  if (key && redactPii && typeof value !== 'object') {
+    if (EMAIL_KEY.test(key)) return maskEmail(value);
+    if (PHONE_KEY.test(key)) return maskPhone(value);
+    if (PII_KEY.test(key)) return REDACTED;
+  }
+  if (typeof value === 'string') return key === 'url' ? redactUrl(value) : redactString(value);
+  if (typeof value !== 'object') return value;
+  if (value instanceof Error) return redactValue(key, { message: value.message, code: value.code, stack: value.stack }, depth);
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(v => redactValue(null, v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = redactValue(k, v, depth + 1);
+  return out;
+}
+
+function redact(fields) {
+  return redactValue(null, fields, 0);
+}
+
+// ---------- Writing ----------
+
+function contextFields(ctx) {
+  if (!ctx) return {};
+  return { requestId: ctx.requestId, traceId: ctx.traceId, tenant: ctx.tenant, jobId: ctx.jobId };
+}
+
+function render(line) {
+  if (format !== 'pretty') return JSON.stringify(line);
+  const { time, level, msg, ...rest } = line;
+  const pairs = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`);
+  return [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(' ');
+}
+
+// fields may be an Error, which is logged as { error, stack }
+function write(level, msg, fields = {}, ctx = requestContext.get()) {
+  if (LEVELS[level] < threshold) return;
+  if (fields instanceof Error) fields = { error: fields.message, code: fields.code, stack: fields.stack };
+  const now = Date.now();
+  const line = { time: new Date(now).toISOString(), level, msg: redactString(String(msg)) };
+  for (const [k, v] of Object.entries({ ...contextFields(ctx), ...redact(fields) })) {
+    if (v !== undefined) line[k] = v;
+  }
+  try {
+    stream.write(render(line) + '\n');
+  } catch {
+    // Nowhere left to report a broken log stream
+  }
+  const exp = otlp();
+  if (exp) {
+    const { time, level: _l, msg: _m, requestId, traceId, tenant, jobId, ...attrs } = line;
+    exp.addLog({ time: now, level, msg: line.msg, traceId, spanId: ctx?.spanId, attributes: { 'request.id': requestId, tenant, 'job.id': jobId, ...attrs } });
+  }
+}
+
+const debug = (msg, fields) => write('debug', msg, fields);
+const info = (msg, fields) => write('info', msg, fields);
+const warn = (msg, fields) => write('warn', msg, fields);
+const error = (msg, fields) => write('error', msg, fields);
+
+// ---------- Request spans ----------
+
+// W3C traceparent: 00-<32 hex trace id>-<16 hex parent span id>-<flags>
+function parseTraceparent(header) {
+  const m = /^[\da-f]{2}-([\da-f]{32})-([\da-f]{16})-[\da-f]{2}$/.exec(String(header || '').trim());
+  if (!m || /^0+$/.test(m[1])) return null;
+  return { traceId: m[1], parentSpanId: m[2] };
+}
+
+function levelForStatus(status) {
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'warn';
+  return 'info';
+}
+
+// Runs the rest of the request inside a context carrying req._requestId and a span. A caller
+// that sends traceparent joins its trace; an in-process call (MCP tools) joins the caller's.
+// quiet: paths logged at debug (health probes).
+function middleware({ quiet = [] } = {}) {
+  return (req, res, next) => {
+    const outer = requestContext.get();
+    const parent = parseTraceparent(req.get('traceparent'));
+    const ctx = {
+      ...(outer || {}),
+      requestId: req._requestId,
+      traceId: parent?.traceId || outer?.traceId || randomHex(16),
+      spanId: randomHex(8),
+      parentSpanId: parent?.parentSpanId || outer?.spanId
+    };
+    const start = Date.now();
+    res.on('finish', () => {
+      const end = Date.now();
+      const route = req.route ? req.baseUrl + req.route.path : null;
+      const fields = {
+        method: req.method,
+        path: redactUrl(req.originalUrl),
+        route,
+        status: res.statusCode,
+        duration_ms: end - start,
+        api_version: req.apiVersion,
+        key_name: req.apiKey?.name
+      };
+      const level = quiet.includes(req.path) ? 'debug' : levelForStatus(res.statusCode);
+      write(level, 'request', fields, { ...ctx, tenant: req.tenant || ctx.tenant });
+      const exp = otlp();
+      if (exp) {
+        exp.addSpan({
+          traceId: ctx.traceId,
+          spanId: ctx.spanId,
+          parentSpanId: ctx.parentSpanId,
+          name: `${req.method} ${route || req.path}`,
+          kind: 'server',
+          start,
+          end,
+          error: res.statusCode >= 500 ? `HTTP ${res.statusCode}` : null,
+          attributes: {
+            'http.request.method': req.method,
+            'url.path': fields.path,
+            'http.route': route,
+            'http.response.status_code': res.statusCode,
+            'request.id': req._requestId,
+            tenant: req.tenant
+          }
+        });
+      }
+    });
+    requestContext.run(ctx, next);
+  };
+}
+
+// ---------- Provider call spans ----------
+
+// fn({ provider, method, status, durationMs, attempt, failed, response })
+function onProviderCall(fn) {
+  callObservers.push(fn);
+}
+
+// provider: a name, or url => name for shared instances such as the default axios export
+function instrument(instance, { provider } = {}) {
+  const providerFor = typeof provider === 'function' ? provider : () => provider || 'http';
+
+  // axios-retry reuses the config for each attempt, so each attempt gets a fresh span
+  instance.interceptors.request.use(config => {
+    config.logSpan = { start: Date.now(), spanId: randomHex(8), ctx: requestContext.get() };
+    return config;
+  });
+
+  function end(config, status, err, response) {
+    const span = config && config.logSpan;
+    if (!span || span.ended) return;
+    span.ended = true;
+    const finished = Date.now();
+    let url;
+    try {
+      url = instance.getUri(config);
+    } catch {
+      url = config.url;
+    }
+    url = redactUrl(url);
+    const name = providerFor(url);
+    const method = String(config.method || 'get').toUpperCase();
+    const fields = {
+      span: 'provider',
+      provider: name,
+      method,
+      url,
+      status: status || null,
+      duration_ms: finished - span.start,
+      attempt: (config['axios-retry']?.retryCount || 0) + 1
+    };
+    const failed = !!err && !(status && status < 400);
+    if (failed) fields.error = err.code || err.message;
+    write(failed ? 'warn' : 'info', 'provider call', fields, span.ctx);
+    for (const fn of callObservers) {
+      try {
+        fn({ provider: name, method, status: fields.status, durationMs: fields.duration_ms, attempt: fields.attempt, failed, response });
+      } catch {
+        // An observer must not break the call it observes
+      }
+    }
+    const exp = otlp();
+    if (exp) {
+      exp.addSpan({
+        traceId: span.ctx?.traceId || randomHex(16),
+        spanId: span.spanId,
+        parentSpanId: span.ctx?.spanId,
+        name: `${name} ${method}`,
+        kind: 'client',
+        start: span.start,
+        end: finished,
+        error: failed ? String(fields.error || `HTTP ${status}`) : null,
+        attributes: {
+          provider: name,
+          'http.request.method': method,
+          'url.full': url,
+          'http.response.status_code': status || undefined,
+          'request.id': span.ctx?.requestId,
+          tenant: span.ctx?.tenant,
+          'http.request.resend_count': fields.attempt - 1 || undefined
+        }
+      });
+    }
+  }
+
+  instance.interceptors.response.use(
+    response => {
+      end(response.config, response.status, null, response);
+      return response;
+    },
+    err => {
+      end(err.config, err.response?.status, err, err.response);
+      return Promise.reject(err);
+    }
+  );
+  return instance;
+}
+
+function status() {
+  const exp = otlp();
+  return {
+    level: Object.keys(LEVELS).find(k => LEVELS[k] === threshold),
+    format,
+    redact_pii: redactPii,
+    otlp: exp ? exp.status() : null
+  };
+}
+
+async function flush() {
+  const exp = otlp();
+  if (exp) await exp.flush();
+}
+
+module.exports = {
+  LEVELS,
+  configure,
+  debug,
+  info,
+  warn,
+  error,
+  write,
+  redact,
+  redactUrl,
+  parseTraceparent,
+  middleware,
+  instrument,
+  onProviderCall,
+  status,
+  flush
+};
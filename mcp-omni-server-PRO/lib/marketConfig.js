@@ -0,0 +1,532 @@
+// ---------- Market Hub configuration loader ----------
+// Loads market_hub_config.json, validates it against CONFIG_SCHEMA and hot-reloads it
+// when the file changes. A reload that fails validation is rejected and the last good
+// config stays active, so a bad edit on the server never takes the routes down.
+//
+// The optional "tenants" section holds per-tenant overrides (markets, GHL IDs, any
+// marketConfig setting). get()/settings()/markets() return the view for the tenant of the
+// current request (lib/requestContext); the top-level file is the "default" tenant.
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schema');
+const requestContext = require('./requestContext');
+const logger = require('./logger');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'market_hub_config.json');
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const MARKET_SCHEMA = {
+  type: 'object',
+  required: ['city', 'state', 'stateCode', 'zipCodes'],
+  properties: {
+    city: { type: 'string', minLength: 1 },
+    state: { type: 'string', minLength: 1 },
+    stateCode: { type: 'string', pattern: '^[A-Z]{2}$' },
+    zipCodes: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^\\d{5}$' } },
+    neighborhoods: stringArray
+  }
+};
+
+// Scraper provider names in fallback order (see lib/scraperRegistry)
+const SCRAPER_ORDER_SCHEMA = { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', minLength: 1 } };
+
+// A token bucket: `limit` requests per `windowSeconds`, up to `burst` at once (lib/rateLimiter)
+const RATE_LIMIT_POLICY_SCHEMA = {
+  type: 'object',
+  required: ['limit', 'windowSeconds'],
+  additionalProperties: false,
+  properties: {
+    limit: { type: 'integer', minimum: 1 },
+    windowSeconds: { type: 'integer', minimum: 1, maximum: 86400 },
+    burst: { type: 'integer', minimum: 1 }
+  }
+};
+
+// USD per billable unit for one provider (lib/costLedger)
+const UNIT_PRICES_SCHEMA = { type: 'object', additionalProperties: { type: 'number', minimum: 0 } };
+const RATE_CARD_SCHEMA = {
+  type: 'object',
+  properties: { models: { type: 'object', additionalProperties: UNIT_PRICES_SCHEMA } },
+  additionalProperties: { type: 'number', minimum: 0 }
+};
+
+// lib/cmaEngine adjustment rates, USD per unit of difference between subject and comp
+const CMA_ADJUSTMENTS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    sqft: { type: 'number', minimum: 0, description: 'Per sqft of living area; unset uses sqftShareOfPricePerSqft' },
+    sqftShareOfPricePerSqft: { type: 'number', minimum: 0, maximum: 1, description: "Share of the comps' median $/sqft" },
+    bedroom: { type: 'number', minimum: 0 },
+    bathroom: { type: 'number', minimum: 0 },
+    yearBuilt: { type: 'number', minimum: 0 },
+    lotSqft: { type: 'number', minimum: 0 },
+    pool: { type: 'number', minimum: 0 }
+  }
+};
+
+// Local hours (end exclusive) and weekdays (0 = Sunday) a channel may be used in
+const SEND_WINDOW_SCHEMA = {
+  type: 'object',
+  properties: {
+    start: { type: 'integer', minimum: 0, maximum: 23 },
+    end: { type: 'integer', minimum: 1, maximum: 24 },
+    days: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 0, maximum: 6 } }
+  }
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['markets', 'defaultMarket', 'marketConfig'],
+  properties: {
+    mcpBaseUrl: { type: 'string', format: 'uri' },
+    markets: { type: 'array', minItems: 1, items: MARKET_SCHEMA },
+    defaultMarket: MARKET_SCHEMA,
+    dataSources: { type: 'object' },
+    marketConfig: {
+      type: 'object',
+      required: ['ghl', 'legalCompliance', 'qualityControl', 'calendarSettings', 'toolConfiguration'],
+      properties: {
+        agentName: { type: 'string' },
+        agentPhone: { type: 'string' },
+        agentEmail: { type: 'string', format: 'email' },
+        brokerageName: { type: 'string' },
+        heygenAvatarId: { type: 'string' },
+        heygenVoiceId: { type: 'string' },
+        ghl: {
+          type: 'object',
+          required: ['locationId', 'calendarId', 'customFields'],
+          properties: {
+            locationId: { type: 'string', minLength: 1 },
+            calendarId: { type: 'string', minLength: 1 },
+            pipelineId: { type: 'string' },
+            customFields: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } }
+          }
+        },
+        enhancedBuyerIntentQueries: stringArray,
+        militaryBuyerQueries: stringArray,
+        seasonalBuyerQueries: stringArray,
+        toolConfiguration: {
+          type: 'object',
+          properties: {
+            googleCSE: {
+              type: 'object',
+              properties: {
+                maxQueriesPerExecution: { type: 'integer', minimum: 1, maximum: 20 },
+                expectedResultsPerQuery: { type: 'integer', minimum: 1, maximum: 10 },
+                dateRestrictions: { type: 'array', items: { type: 'string', pattern: '^[dwmy]\\d+$' } }
+              }
+            },
+            zenRows: {
+              type: 'object',
+              properties: { premiumSites: stringArray, standardSites: stringArray, costOptimization: { type: 'boolean' } }
+            },
+            apify: { type: 'object' },
+            scrapePolicy: {
+              type: 'object',
+              properties: {
+                respectRobotsTxt: { type: 'boolean' },
+                userAgent: { type: 'string', pattern: '^[A-Za-z_-]+$' },
+                robotsCacheSeconds: { type: 'integer', minimum: 60, maximum: 86400 },
+                onRobotsUnreachable: { type: 'string', enum: ['allow', 'deny'] },
+                allowDomains: stringArray,
+                denyDomains: stringArray
+              }
+            },
+            scraperChain: {
+              type: 'object',
+              properties: {
+                defaultOrder: SCRAPER_ORDER_SCHEMA,
+                domains: { type: 'object', additionalProperties: SCRAPER_ORDER_SCHEMA },
+                circuitBreaker: {
+                  type: 'object',
+                  properties: {
+                    failureThreshold: { type: 'integer', minimum: 1 },
+                    cooldownSeconds: { type: 'integer', minimum: 1 }
+                  }
+                }
+              }
+            }
+          }
+        },
+        performanceTracking: {
+          type: 'object',
+          // USD per UTC day across paid providers (lib/costLedger)
+          properties: { costLimitDaily: { type: 'number', minimum: 0 } }
+        },
+        costSettings: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            monthlyLimit: { type: 'number', minimum: 0 },
+            degradeAtPercent: { type: 'number', minimum: 0, maximum: 100 },
+            // Provider -> cheaper LLM model used once spend reaches degradeAtPercent
+            degradeModels: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } },
+            // Provider -> USD per unit; `models` prices individual LLM models
+            rateCard: { type: 'object', additionalProperties: RATE_CARD_SCHEMA },
+            retentionDays: { type: 'integer', minimum: 1 }
+          }
+        },
+        cacheSettings: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            // Provider (zyte, zenrows, direct, google_cse, apollo, default) -> seconds fresh
+            ttlSeconds: { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } },
+            staleSeconds: { type: 'integer', minimum: 0 },
+            maxEntries: { type: 'integer', minimum: 1 },
+            maxMemoryMb: { type: 'number', minimum: 1 },
+            maxEntryKb: { type: 'integer', minimum: 1 },
+            diskStore: { type: 'boolean' },
+            maxDiskEntries: { type: 'integer', minimum: 1 }
+          }
+        },
+        cmaSettings: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            maxDistanceMiles: { type: 'number', exclusiveMinimum: 0 },
+            maxAgeDays: { type: 'integer', minimum: 1 },
+            maxComps: { type: 'integer', minimum: 1, maximum: 20 },
+            minComps: { type: 'integer', minimum: 1 },
+            maxGrossAdjustmentPercent: { type: 'number', exclusiveMinimum: 0 },
+            adjustments: CMA_ADJUSTMENTS_SCHEMA
+          }
+        },
+        // Report PDFs: branding (lib/reportPdf) and how long stored links last (lib/reportFiles)
+        reportSettings: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            brandName: { type: 'string', minLength: 1, maxLength: 80 },
+            brandColor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', errorMessage: 'must be a #rrggbb color' },
+            pdfRetentionDays: { type: 'integer', minimum: 1, maximum: 365 }
+          }
+        },
+        // Market report figures (lib/marketStats): default period and the price bands reported on
+        marketStatsSettings: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            periodDays: { type: 'integer', minimum: 7, maximum: 730 },
+            priceBands: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 10,
+              items: {
+                type: 'object',
+                additionalProperties: false,
+                anyOf: [{ required: ['min'] }, { required: ['max'] }],
+                errorMessage: 'a price band needs a min, a max or both',
+                properties: {
+                  label: { type: 'string', minLength: 1 },
+                  min: { type: 'number', minimum: 0 },
+                  max: { type: 'number', exclusiveMinimum: 0 }
+                }
+              }
+            }
+          }
+        },
+        leadManagement: {
+          type: 'object',
+          // false keeps scrapes out of the response cache (lib/responseCache)
+          properties: { cacheProcessedURLs: { type: 'boolean' } }
+        },
+        analytics: { type: 'object' },
+        competitiveSettings: { type: 'object' },
+        legalCompliance: {
+          type: 'object',
+          required: ['requiredDisclosures'],
+          properties: {
+            tcpaEnabled: { type: 'boolean' },
+            fairHousingCompliant: { type: 'boolean' },
+            consentRequired: { type: 'boolean' },
+            consentValidityDays: { type: 'integer', minimum: 1 },
+            callTimeRestrictions: { type: 'boolean' },
+            requiredDisclosures: stringArray,
+            disclosureMode: { type: 'string', enum: ['append', 'reject'] },
+            smsMaxSegments: { type: 'integer', minimum: 1, maximum: 10 },
+            sendWindows: {
+              type: 'object',
+              additionalProperties: false,
+              properties: { sms: SEND_WINDOW_SCHEMA, email: SEND_WINDOW_SCHEMA, call: SEND_WINDOW_SCHEMA, voicemail: SEND_WINDOW_SCHEMA }
+            }
+          }
+        },
+        qualityControl: {
+          type: 'object',
+          properties: {
+            minimumIntentScore: { type: 'number', minimum: 0, maximum: 10 },
+            requireContactHint: { type: 'boolean' },
+            requireGeographicMatch: { type: 'boolean' },
+            maxProcessingRetries: { type: 'integer', minimum: 0 },
+            failureHandling: { type: 'string', enum: ['continue', 'abort'] }
+          }
+        },
+        documentSettings: { type: 'object' },
+        jobSettings: {
+          type: 'object',
+          properties: {
+            concurrency: { type: 'object', additionalProperties: { type: 'integer', minimum: 1, maximum: 10 } },
+            maxQueued: { type: 'integer', minimum: 1 },
+            retentionDays: { type: 'integer', minimum: 1 }
+          }
+        },
+        rateLimitSettings: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            default: RATE_LIMIT_POLICY_SCHEMA,
+            // Per client IP, checked before the API key
+            ip: RATE_LIMIT_POLICY_SCHEMA,
+            // Path ("/api/x" or "/api/x/*") -> policy; null turns a built-in route budget off
+            routes: { type: 'object', additionalProperties: { anyOf: [RATE_LIMIT_POLICY_SCHEMA, { type: 'null' }] } },
+            // API key id or name -> policy replacing `default` for that key
+            keys: { type: 'object', additionalProperties: RATE_LIMIT_POLICY_SCHEMA }
+          }
+        },
+        calendarSettings: {
+          type: 'object',
+          required: ['availableDays', 'availableHours'],
+          properties: {
+            defaultShowingDuration: { type: 'integer', minimum: 1 },
+            bufferBetweenShowings: { type: 'integer', minimum: 0 },
+            maxShowingsPerDay: { type: 'integer', minimum: 1 },
+            availableDays: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } },
+            availableHours: {
+              type: 'object',
+              required: ['start', 'end'],
+              properties: {
+                start: { type: 'integer', minimum: 0, maximum: 23 },
+                end: { type: 'integer', minimum: 1, maximum: 24 }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// A tenant overrides parts of the top-level config; objects merge key by key, arrays and
+// values replace. credentials maps an env var the server reads (GHL_API_KEY) to the one
+// holding this tenant's value (GHL_API_KEY_SMITH). Env vars not listed there or in
+// sharedCredentials are not visible to the tenant.
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const ENV_NAME = { type: 'string', pattern: '^[A-Z][A-Z0-9_]*$' };
+const TENANT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    credentials: { type: 'object', additionalProperties: ENV_NAME },
+    sharedCredentials: { type: 'array', uniqueItems: true, items: ENV_NAME },
+    markets: { type: 'array', minItems: 1, items: MARKET_SCHEMA },
+    defaultMarket: MARKET_SCHEMA,
+    marketConfig: { type: 'object' }
+  }
+};
+CONFIG_SCHEMA.properties.tenants = { type: 'object', additionalProperties: TENANT_SCHEMA };
+
+// Keys whose values must never leave the server
+const SECRET_KEYS = ['authToken', 'sessionId', 'igSessionId', 'backupTokens'];
+
+let current = null;
+let configPath = process.env.MARKET_HUB_CONFIG_PATH || DEFAULT_PATH;
+let loadedAt = null;
+let version = 0;
+let lastError = null;
+let watching = false;
+const listeners = [];
+const views = new Map(); // tenant id -> merged config, rebuilt after each load
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(override || {})) {
+    out[k] = isPlainObject(v) && isPlainObject(base[k]) ? deepMerge(base[k], v) : v;
+  }
+  return out;
+}
+
+function tenantView(config, id) {
+  const tenant = (config.tenants || {})[id];
+  const { tenants, ...shared } = config;
+  return {
+    ...shared,
+    markets: tenant.markets || config.markets,
+    defaultMarket: tenant.defaultMarket || (tenant.markets ? tenant.markets[0] : config.defaultMarket),
+    marketConfig: deepMerge(config.marketConfig, tenant.marketConfig)
+  };
+}
+
+function readAndValidate(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`${path.basename(file)} is not valid JSON: ${e.message}`);
+  }
+  const errors = validate(CONFIG_SCHEMA, parsed);
+  // Each tenant's merged view has to be a complete, valid config on its own
+  for (const id of errors.length ? [] : Object.keys(parsed.tenants || {})) {
+    if (!TENANT_ID_PATTERN.test(id) || id === requestContext.DEFAULT_TENANT) {
+      errors.push({ path: `tenants.${id}`, message: `tenant id must match ${TENANT_ID_PATTERN} and not be "${requestContext.DEFAULT_TENANT}"` });
+      continue;
+    }
+    for (const e of validate(CONFIG_SCHEMA, tenantView(parsed, id))) errors.push({ ...e, path: `tenants.${id} -> ${e.path}` });
+  }
+  if (errors.length) {
+    const err = new Error(`${path.basename(file)} failed validation: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    err.validationErrors = errors;
+    throw err;
+  }
+  return parsed;
+}
+
+// Initial load throws so a broken config stops the deploy instead of serving bad defaults
+function load(file = configPath) {
+  configPath = file;
+  current = readAndValidate(file);
+  views.clear();
+  loadedAt = new Date().toISOString();
+  version++;
+  lastError = null;
+  return current;
+}
+
+function reload() {
+  try {
+    const previous = current;
+    load(configPath);
+    logger.info('market hub config reloaded', { version, path: configPath });
+    for (const fn of listeners) {
+      try { fn(current, previous); } catch (e) { logger.error('market hub config listener failed', { error: e.message }); }
+    }
+    return true;
+  } catch (e) {
+    lastError = { message: e.message, errors: e.validationErrors || [], at: new Date().toISOString() };
+    logger.error('market hub config reload rejected; keeping previous version', { version, error: e.message, errors: lastError.errors });
+    return false;
+  }
+}
+
+// fs.watchFile polls, which survives editors and deploy tools that replace the file
+function watch(intervalMs = 2000) {
+  if (watching) return;
+  watching = true;
+  fs.watchFile(configPath, { interval: intervalMs, persistent: false }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reload();
+  });
+}
+
+function unwatch() {
+  if (!watching) return;
+  fs.unwatchFile(configPath);
+  watching = false;
+}
+
+function onChange(fn) {
+  listeners.push(fn);
+}
+
+// Config as the current request's tenant sees it
+function get() {
+  if (!current) load();
+  const id = requestContext.tenantId();
+  if (id === requestContext.DEFAULT_TENANT) return current;
+  if (!views.has(id)) {
+    if (!(current.tenants || {})[id]) throw new Error(`tenant "${id}" is not configured`);
+    views.set(id, tenantView(current, id));
+  }
+  return views.get(id);
+}
+
+// Tenant definitions as written in the file
+function tenants() {
+  if (!current) load();
+  return current.tenants || {};
+}
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = SECRET_KEYS.includes(k) ? '[redacted]' : redact(v);
+  }
+  return out;
+}
+
+function status() {
+  return { path: configPath, version, loadedAt, watching, lastError };
+}
+
+// ---- Convenience accessors used by the routes ----
+function settings() {
+  return get().marketConfig;
+}
+
+function markets() {
+  return get().markets;
+}
+
+function defaultMarket() {
+  return get().defaultMarket;
+}
+
+// "Pace", "Pace FL" and "Pace, Florida" all find Pace; a trailing state must be that
+// market's own state or stateCode
+function findMarket(city) {
+  if (!city) return null;
+  const needle = String(city).toLowerCase().replace(/\s+/g, ' ').trim();
+  return markets().find(m => {
+    const name = m.city.toLowerCase();
+    if (needle === name) return true;
+    if (!needle.startsWith(name)) return false;
+    const suffix = /^(?:,\s*|\s+)(.+)$/.exec(needle.slice(name.length));
+    return Boolean(suffix) && [m.state, m.stateCode].some(s => s && s.toLowerCase() === suffix[1]);
+  }) || null;
+}
+
+// "Pace FL" style labels used by the OSINT discovery routes
+function marketLabels() {
+  return markets().map(m => `${m.city} ${m.stateCode}`);
+}
+
+// Lower-cased city + neighborhood terms for geographic relevance checks
+function geoTerms() {
+  const terms = new Set();
+  for (const m of markets()) {
+    terms.add(m.city.toLowerCase());
+    for (const n of m.neighborhoods || []) terms.add(n.toLowerCase());
+  }
+  return [...terms];
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  CMA_ADJUSTMENTS_SCHEMA,
+  load,
+  reload,
+  watch,
+  unwatch,
+  onChange,
+  get,
+  tenants,
+  redact,
+  status,
+  settings,
+  markets,
+  defaultMarket,
+  findMarket,
+  marketLabels,
+  geoTerms
+};
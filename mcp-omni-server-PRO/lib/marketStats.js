@@ -0,0 +1,297 @@
+// ---------- Market statistics ----------
+// Computes the figures a market report quotes from listing and sale records, instead of
+// quoting fixed numbers: sale prices, $/sqft, days on market, list-to-sale ratio, months of
+// inventory, absorption, year-over-year change and the same per price band. Records come
+// with the request, or from the "market_records" collection filled by importRecords()
+// (an MLS export, say), one set per tenant.
+//
+// A record is a listing in one of three states:
+//   { status: 'active' | 'pending' | 'sold', list_price, list_date, sold_price, sold_date,
+//     pending_date?, days_on_market?, sqft?, city, zip, neighborhood, mls_number?, address? }
+// Sales are the sold records that closed inside the period. Inventory is what was for sale
+// on the period's last day: active listings, plus pending and sold ones that were listed by
+// then and went under contract or closed later. Every figure reports its sample size; a
+// figure with no sample is null, never a guess.
+
+const { createCollection } = require('./jsonStore');
+const marketConfig = require('./marketConfig');
+const requestContext = require('./requestContext');
+
+const DEFAULT_PERIOD_DAYS = 90;
+const DEFAULT_PRICE_BANDS = [
+  { label: 'Entry level', max: 400000 },
+  { label: 'Mid-market', min: 400000, max: 800000 },
+  { label: 'Luxury', min: 800000 }
+];
+const DAYS_PER_MONTH = 30.44;
+const DAY_MS = 86400000;
+// Months of inventory below SELLERS_MARKET favour sellers, above BUYERS_MARKET buyers
+const SELLERS_MARKET = 4;
+const BUYERS_MARKET = 6;
+
+let collection = null;
+
+function store() {
+  if (!collection) collection = createCollection('market_records');
+  return collection;
+}
+
+function settings() {
+  const configured = marketConfig.settings().marketStatsSettings || {};
+  return {
+    periodDays: configured.periodDays || DEFAULT_PERIOD_DAYS,
+    priceBands: configured.priceBands || DEFAULT_PRICE_BANDS
+  };
+}
+
+function day(value) {
+  const t = value ? Date.parse(value) : NaN;
+  return Number.isNaN(t) ? null : t;
+}
+
+function iso(t) {
+  return new Date(t).toISOString().slice(0, 10);
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function round(value, decimals = 0) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const f = 10 ** decimals;
+  return Math.round(value * f) / f;
+}
+
+function percentChange(now, before) {
+  return now === null || !before ? null : round(((now - before) / before) * 100, 1);
+}
+
+// ---------- Records ----------
+
+function recordKey(record) {
+  if (record.mls_number) return `mls:${String(record.mls_number).trim().toLowerCase()}`;
+  const address = String(record.address || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return `addr:${address}|${record.list_date || record.sold_date || ''}`;
+}
+
+// Adds or replaces records for the current tenant; the same MLS number (or address and list
+// date) replaces the earlier copy, so re-importing a newer export updates statuses
+function importRecords(records, { source = null } = {}) {
+  const tenant = requestContext.tenantId();
+  const importedAt = new Date().toISOString();
+  let created = 0;
+  for (const record of records) {
+    const id = `${tenant}|${recordKey(record)}`;
+    if (!store().has(id)) created++;
+    store().put(id, { ...record, id, tenant, source, imported_at: importedAt });
+  }
+  return { created, updated: records.length - created };
+}
+
+function storedRecords() {
+  const tenant = requestContext.tenantId();
+  return store().all().filter(r => r.tenant === tenant);
+}
+
+// Record counts and date coverage per city for the current tenant
+function coverage() {
+  const byCity = new Map();
+  for (const r of storedRecords()) {
+    const city = r.city || 'unknown';
+    const c = byCity.get(city) || { city, records: 0, active: 0, pending: 0, sold: 0, first_date: null, last_date: null };
+    c.records++;
+    c[r.status]++;
+    for (const d of [r.list_date, r.sold_date]) {
+      if (!d) continue;
+      if (!c.first_date || d < c.first_date) c.first_date = d;
+      if (!c.last_date || d > c.last_date) c.last_date = d;
+    }
+    byCity.set(city, c);
+  }
+  return [...byCity.values()].sort((a, b) => b.records - a.records);
+}
+
+// area: { city?, zips?: [], neighborhoods?: [] }; the most specific one given is used
+function inArea(record, area = {}) {
+  const lower = v => String(v || '').trim().toLowerCase();
+  if (area.neighborhoods?.length) return area.neighborhoods.some(n => lower(n) === lower(record.neighborhood));
+  if (area.zips?.length) return area.zips.some(z => String(z) === String(record.zip || '').slice(0, 5));
+  if (area.city) return lower(area.city) === lower(record.city);
+  return true;
+}
+
+function areaLabel(area = {}) {
+  if (area.neighborhoods?.length) return area.neighborhoods.join(', ');
+  if (area.zips?.length) return `ZIP ${area.zips.join(', ')}`;
+  return area.city || 'All areas';
+}
+
+// ---------- Figures ----------
+
+function daysOnMarket(r) {
+  if (typeof r.days_on_market === 'number') return r.days_on_market;
+  const listed = day(r.list_date);
+  const closed = day(r.pending_date) ?? day(r.sold_date);
+  return listed !== null && closed !== null && closed >= listed ? Math.round((closed - listed) / DAY_MS) : null;
+}
+
+function salesIn(records, from, to) {
+  return records.filter(r => {
+    const sold = day(r.sold_date);
+    return r.status === 'sold' && sold !== null && sold >= from && sold <= to && r.sold_price > 0;
+  });
+}
+
+// For sale on `at`: listed by then and not yet under contract or closed
+function inventoryAt(records, at) {
+  return records.filter(r => {
+    const listed = day(r.list_date);
+    if (listed !== null && listed > at) return false;
+    if (r.status === 'active') return true;
+    const offMarket = day(r.pending_date) ?? day(r.sold_date);
+    return listed !== null && offMarket !== null && offMarket > at;
+  });
+}
+
+function figures(records, from, to) {
+  const sales = salesIn(records, from, to);
+  const prices = sales.map(r => r.sold_price);
+  const ppsf = sales.filter(r => r.sqft > 0).map(r => r.sold_price / r.sqft);
+  const doms = sales.map(daysOnMarket).filter(d => d !== null);
+  const ratios = sales.filter(r => r.list_price > 0).map(r => r.sold_price / r.list_price);
+  const inventory = inventoryAt(records, to).length;
+  const months = (to - from + DAY_MS) / DAY_MS / DAYS_PER_MONTH;
+  const salesPerMonth = sales.length / months;
+  const newListings = records.filter(r => {
+    const listed = day(r.list_date);
+    return listed !== null && listed >= from && listed <= to;
+  }).length;
+  return {
+    homes_sold: sales.length,
+    median_sale_price: round(median(prices)),
+    average_sale_price: round(mean(prices)),
+    median_price_per_sqft: round(median(ppsf)),
+    median_days_on_market: round(median(doms)),
+    average_days_on_market: round(mean(doms), 1),
+    list_to_sale_ratio_percent: ratios.length ? round(mean(ratios) * 100, 1) : null,
+    active_inventory: inventory,
+    new_listings: newListings,
+    sales_per_month: round(salesPerMonth, 1),
+    // No listings for sale usually means the data has sales only, so supply figures are left out
+    months_of_inventory: salesPerMonth && inventory ? round(inventory / salesPerMonth, 1) : null,
+    absorption_rate_percent: inventory ? round((salesPerMonth / inventory) * 100, 1) : null,
+    sample_sizes: { sales: sales.length, with_sqft: ppsf.length, with_days_on_market: doms.length, with_list_price: ratios.length, inventory }
+  };
+}
+
+function marketType(monthsOfInventory) {
+  if (monthsOfInventory === null) return null;
+  if (monthsOfInventory < SELLERS_MARKET) return 'sellers';
+  return monthsOfInventory > BUYERS_MARKET ? 'buyers' : 'balanced';
+}
+
+function inBand(price, band) {
+  return price !== null && price !== undefined && (band.min === undefined || price >= band.min) && (band.max === undefined || price < band.max);
+}
+
+function bandLabel(band) {
+  const k = n => (n >= 1000000 ? `$${round(n / 1000000, 1)}M` : `$${round(n / 1000)}K`);
+  if (band.min === undefined) return `Under ${k(band.max)}`;
+  return band.max === undefined ? `${k(band.min)}+` : `${k(band.min)}–${k(band.max)}`;
+}
+
+// options: { records? (else the stored ones), area, from?, to? (YYYY-MM-DD; default the last
+// periodDays days), priceBands? }
+function compute(options = {}) {
+  const s = settings();
+  const to = options.to ? day(options.to) : day(iso(Date.now()));
+  const from = options.from ? day(options.from) : to - (s.periodDays - 1) * DAY_MS;
+  const yearMs = 365 * DAY_MS;
+  const records = (options.records || storedRecords()).filter(r => inArea(r, options.area));
+
+  const current = figures(records, from, to);
+  const prior = figures(records, from - yearMs, to - yearMs);
+  const soldInPeriod = salesIn(records, from, to);
+  const bands = (options.priceBands || s.priceBands).map(band => {
+    // A listing belongs to a band by its sale price, or its list price while unsold
+    const banded = records.filter(r => inBand(r.status === 'sold' ? r.sold_price : r.list_price, band));
+    const now = figures(banded, from, to);
+    const before = figures(banded, from - yearMs, to - yearMs);
+    return {
+      label: band.label || bandLabel(band),
+      range: bandLabel(band),
+      min: band.min ?? null,
+      max: band.max ?? null,
+      homes_sold: now.homes_sold,
+      share_of_sales_percent: soldInPeriod.length ? round((now.homes_sold / soldInPeriod.length) * 100, 1) : null,
+      median_sale_price: now.median_sale_price,
+      median_days_on_market: now.median_days_on_market,
+      active_inventory: now.active_inventory,
+      months_of_inventory: now.months_of_inventory,
+      yoy_median_price_percent: percentChange(now.median_sale_price, before.median_sale_price),
+      sample_sizes: { sales: now.homes_sold, prior_year_sales: before.homes_sold }
+    };
+  });
+
+  return {
+    area: { ...options.area, label: areaLabel(options.area) },
+    period: { from: iso(from), to: iso(to), days: Math.round((to - from) / DAY_MS) + 1 },
+    prior_period: { from: iso(from - yearMs), to: iso(to - yearMs) },
+    records: records.length,
+    data_source: options.records ? 'request' : 'imported',
+    ...current,
+    market_type: marketType(current.months_of_inventory),
+    yoy: {
+      median_sale_price_percent: percentChange(current.median_sale_price, prior.median_sale_price),
+      median_price_per_sqft_percent: percentChange(current.median_price_per_sqft, prior.median_price_per_sqft),
+      homes_sold_percent: percentChange(current.homes_sold, prior.homes_sold),
+      median_days_on_market_change: current.median_days_on_market !== null && prior.median_days_on_market !== null
+        ? current.median_days_on_market - prior.median_days_on_market
+        : null,
+      prior_median_sale_price: prior.median_sale_price,
+      prior_homes_sold: prior.homes_sold
+    },
+    price_bands: bands
+  };
+}
+
+// Plain-language observations for reports, each backed by a figure above: [{ label, text }]
+function insights(stats) {
+  const out = [];
+  const signed = n => `${n > 0 ? '+' : ''}${n}%`;
+  if (stats.months_of_inventory !== null) {
+    const kind = { sellers: 'a seller\'s market (under 4 months)', balanced: 'a balanced market (4–6 months)', buyers: 'a buyer\'s market (over 6 months)' }[stats.market_type];
+    out.push({ label: 'Supply', text: `${stats.months_of_inventory} months of inventory at the current sales pace — ${kind}.` });
+  }
+  if (stats.list_to_sale_ratio_percent !== null) {
+    out.push({ label: 'Negotiation', text: `homes sold for ${stats.list_to_sale_ratio_percent}% of their last list price on average (${stats.sample_sizes.with_list_price} sales).` });
+  }
+  if (stats.yoy.median_days_on_market_change !== null) {
+    const change = stats.yoy.median_days_on_market_change;
+    const versus = change === 0 ? 'the same as' : `${Math.abs(change)} day${Math.abs(change) === 1 ? '' : 's'} ${change < 0 ? 'faster than' : 'slower than'}`;
+    out.push({ label: 'Pace', text: `the median home sold in ${stats.median_days_on_market} days, ${versus} a year earlier.` });
+  }
+  if (stats.yoy.homes_sold_percent !== null) {
+    out.push({ label: 'Volume', text: `${stats.homes_sold} sales against ${stats.yoy.prior_homes_sold} in the same period last year (${signed(stats.yoy.homes_sold_percent)}).` });
+  }
+  if (stats.absorption_rate_percent !== null) {
+    out.push({ label: 'Absorption', text: `${stats.absorption_rate_percent}% of the ${stats.active_inventory} homes for sale are absorbed per month.` });
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_PRICE_BANDS,
+  importRecords,
+  coverage,
+  compute,
+  insights
+};
@@ -0,0 +1,229 @@
+// ---------- Model Context Protocol server ----------
+// JSON-RPC 2.0 core for MCP clients (Claude Desktop, agents, IDEs). One handle(message) is
+// shared by three transports:
+//   - stdio: newline-delimited JSON on stdin/stdout (`node server.js --stdio`)
+//   - Streamable HTTP: POST /mcp, answered with a JSON body
+//   - HTTP + SSE (2024-11-05 clients): GET /mcp/sse opens the stream, POST /mcp/messages sends
+// server.js registers tools with an input schema and a handler. Route-backed tools run the
+// Express route itself through invokeRoute(), so a tool call and a REST call share one code path.
+
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const readline = require('readline');
+const { validate } = require('./schema');
+const { version } = require('../package.json');
+
+// Newest first; an unknown requested version gets the newest
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'mcp-omni-server-pro', title: 'MCP Omni Server PRO', version };
+const ERROR_CODES = {
+  parse_error: -32700,
+  invalid_request: -32600,
+  method_not_found: -32601,
+  invalid_params: -32602,
+  internal_error: -32603
+};
+const SSE_KEEPALIVE_MS = 25000;
+
+const tools = new Map();
+const sseSessions = new Map();
+
+function tool({ name, title, description, inputSchema, annotations, handler }) {
+  if (!/^[a-z][a-z0-9_]*$/.test(name || '')) throw new Error(`invalid MCP tool name: ${name}`);
+  if (typeof handler !== 'function') throw new Error(`MCP tool ${name} needs a handler`);
+  tools.set(name, { name, title, description, inputSchema: inputSchema || { type: 'object' }, annotations, handler });
+}
+
+function listTools() {
+  return [...tools.values()].map(({ handler, ...definition }) => definition);
+}
+
+function rpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function rpcError(id, code, message, data) {
+  return { jsonrpc: '2.0', id: id === undefined ? null : id, error: { code: ERROR_CODES[code], message, ...(data !== undefined ? { data } : {}) } };
+}
+
+function textResult(text, isError = false) {
+  return { content: [{ type: 'text', text }], isError };
+}
+
+// Bad arguments and failed handlers come back as tool results with isError, so the model
+// can read the message and retry; only an unknown tool is a JSON-RPC error.
+async function callTool(params = {}, context) {
+  const definition = tools.get(params.name);
+  if (!definition) return { error: ['invalid_params', `Unknown tool: ${params.name}`] };
+  const args = params.arguments === undefined ? {} : params.arguments;
+  const errors = validate(definition.inputSchema, args).map(e => `${e.path} ${e.message}`);
+  if (errors.length) return { result: textResult(`Invalid arguments: ${errors.join('; ')}`, true) };
+  try {
+    const { body, isError = false } = await definition.handler(args, context);
+    return { result: textResult(typeof body === 'string' ? body : JSON.stringify(body, null, 2), isError) };
+  } catch (e) {
+    return { result: textResult(`${params.name} failed: ${e.message}`, true) };
+  }
+}
+
+async function handleOne(message, context) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    return rpcError(message && message.id, 'invalid_request', 'Invalid Request');
+  }
+  const { id, method, params = {} } = message;
+  const isNotification = id === undefined;
+
+  // notifications/initialized, notifications/cancelled and the like need no answer
+  if (isNotification) return null;
+
+  try {
+    switch (method) {
+      case 'initialize': {
+        const requested = params.protocolVersion;
+        return rpcResult(id, {
+          protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: SERVER_INFO,
+          instructions: 'Real-estate buyer lead tools: discovery, scoring, dedup, CMA and market reports, fair-housing and consent checks, and GHL campaign delivery. Long discovery runs return a job id; poll it with get_job.'
+        });
+      }
+      case 'ping':
+        return rpcResult(id, {});
+      case 'tools/list':
+        return rpcResult(id, { tools: listTools() });
+      case 'tools/call': {
+        const { result, error } = await callTool(params, context);
+        return error ? rpcError(id, ...error) : rpcResult(id, result);
+      }
+      default:
+        return rpcError(id, 'method_not_found', `Method not found: ${method}`);
+    }
+  } catch (e) {
+    return rpcError(id, 'internal_error', e.message);
+  }
+}
+
+// Accepts a single message or a batch; returns the response(s), or null when nothing is owed
+async function handle(message, context = {}) {
+  if (Array.isArray(message)) {
+    if (!message.length) return rpcError(null, 'invalid_request', 'Invalid Request');
+    const responses = (await Promise.all(message.map(m => handleOne(m, context)))).filter(Boolean);
+    return responses.length ? responses : null;
+  }
+  return handleOne(message, context);
+}
+
+// ---------- stdio transport ----------
+
+// stdout carries protocol messages only, so anything the server logs must go to stderr.
+// onClose runs once stdin has ended and every request already read has been answered.
+function serveStdio({ input = process.stdin, output = process.stdout, context = {}, onClose } = {}) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const write = response => { if (response) output.write(`${JSON.stringify(response)}\n`); };
+  let pending = 0;
+  let ended = false;
+  const settle = () => { if (ended && pending === 0 && onClose) onClose(); };
+  lines.on('line', async line => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      write(rpcError(null, 'parse_error', 'Parse error'));
+      return;
+    }
+    pending++;
+    try {
+      write(await handle(message, { ...context, transport: 'stdio' }));
+    } finally {
+      pending--;
+      settle();
+    }
+  });
+  lines.on('close', () => {
+    ended = true;
+    settle();
+  });
+  return lines;
+}
+
+// ---------- HTTP + SSE transport (protocol 2024-11-05) ----------
+
+// The first event tells the client where to POST; responses come back on this stream
+function openSseSession(req, res, messagesPath) {
+  const id = crypto.randomUUID();
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${data}\n\n`);
+  send('endpoint', `${messagesPath}?sessionId=${id}`);
+  const keepAlive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+  sseSessions.set(id, { id, headers: req.headers, send: message => send('message', JSON.stringify(message)) });
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    sseSessions.delete(id);
+  });
+  return id;
+}
+
+// Returns false when the session is unknown or closed
+function postToSseSession(sessionId, message, context = {}) {
+  const session = sseSessions.get(sessionId);
+  if (!session) return false;
+  handle(message, { ...context, transport: 'sse', session_id: sessionId }).then(response => {
+    if (response && sseSessions.has(sessionId)) session.send(response);
+  });
+  return true;
+}
+
+// ---------- In-process route calls ----------
+
+// Runs a request through the Express app without a socket and resolves with what the route
+// sent: { status, body }. The body is parsed when the route answered with JSON.
+function invokeRoute(app, { method = 'POST', path, body, headers = {} }) {
+  return new Promise((resolve, reject) => {
+    const req = new http.IncomingMessage(new net.Socket());
+    req.method = method;
+    req.url = path;
+    req.headers = { 'content-type': 'application/json', ...headers };
+    // Already parsed: express.json() skips requests that carry _body
+    req.body = body === undefined ? {} : body;
+    req._body = true;
+    req.push(null);
+
+    const res = new http.ServerResponse(req);
+    const chunks = [];
+    res.write = (chunk, encoding) => {
+      if (chunk) chunks.push(Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined));
+      return true;
+    };
+    res.end = (chunk, encoding) => {
+      if (chunk && typeof chunk !== 'function') chunks.push(Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined));
+      const text = Buffer.concat(chunks).toString('utf8');
+      const isJson = /json/.test(String(res.getHeader('content-type') || ''));
+      let parsed = text;
+      if (isJson) {
+        try { parsed = JSON.parse(text); } catch { parsed = text; }
+      }
+      resolve({ status: res.statusCode, body: parsed });
+      return res;
+    };
+    app.handle(req, res, err => (err ? reject(err) : resolve({ status: 404, body: { ok: false, error: 'not_found', path } })));
+  });
+}
+
+module.exports = {
+  PROTOCOL_VERSIONS,
+  tool,
+  listTools,
+  handle,
+  rpcError,
+  serveStdio,
+  openSseSession,
+  postToSseSession,
+  invokeRoute
+};
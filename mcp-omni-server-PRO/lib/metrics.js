@@ -0,0 +1,185 @@
+// ---------- Metrics (Prometheus text format) ----------
+// A small registry rendered at GET /metrics in the Prometheus text exposition format (0.0.4).
+// Two ways in:
+//   - counter()/histogram() for things counted as they happen (requests, provider calls,
+//     LLM tokens), updated by middleware() and observeProviderCall()
+//   - collect(fn) for state another module already keeps (job queue, send schedule, scraper
+//     health); fn runs at scrape time and returns families of samples
+//
+// Label values should come from small fixed sets (route templates, provider names, status
+// codes), never raw paths or ids, so the number of series stays bounded.
+
+const { tokenUsage } = require('./costLedger');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+// Requests answered before routing (auth, rate limit, unknown path)
+const NO_ROUTE = 'none';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).filter(([, v]) => v !== undefined && v !== null);
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function createRegistry() {
+  const families = new Map(); // name -> { type, help, series: Map(labelKey -> state) }
+  const collectors = [];
+
+  function family(name, type, help) {
+    if (families.has(name)) {
+      const existing = families.get(name);
+      if (existing.type !== type) throw new Error(`metric ${name} is already a ${existing.type}`);
+      return existing;
+    }
+    const created = { type, help, series: new Map() };
+    families.set(name, created);
+    return created;
+  }
+
+  function seriesFor(fam, labels, init) {
+    const key = labelText(labels);
+    if (!fam.series.has(key)) fam.series.set(key, { labels, ...init() });
+    return fam.series.get(key);
+  }
+
+  function counter(name, help) {
+    const fam = family(name, 'counter', help);
+    return {
+      inc(labels = {}, n = 1) {
+        seriesFor(fam, labels, () => ({ value: 0 })).value += n;
+      }
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const fam = family(name, 'histogram', help);
+    fam.buckets = buckets;
+    return {
+      observe(labels = {}, value) {
+        const s = seriesFor(fam, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((le, i) => {
+          if (value <= le) s.counts[i]++;
+        });
+        s.sum += value;
+        s.count++;
+      }
+    };
+  }
+
+  // fn() -> [{ name, type: 'gauge' | 'counter', help, samples: [{ labels, value }] }]
+  function collect(fn) {
+    collectors.push(fn);
+  }
+
+  function renderFamily(name, fam, lines) {
+    lines.push(`# HELP ${name} ${escapeHelp(fam.help)}`);
+    lines.push(`# TYPE ${name} ${fam.type}`);
+    for (const s of fam.series.values()) {
+      if (fam.type === 'histogram') {
+        fam.buckets.forEach((le, i) => lines.push(`${name}_bucket${labelText({ ...s.labels, le: formatValue(le) })} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${labelText(s.labels)} ${formatValue(s.sum)}`);
+        lines.push(`${name}_count${labelText(s.labels)} ${s.count}`);
+      } else {
+        lines.push(`${name}${labelText(s.labels)} ${formatValue(s.value)}`);
+      }
+    }
+  }
+
+  function render() {
+    const lines = [];
+    for (const [name, fam] of families) renderFamily(name, fam, lines);
+    for (const fn of collectors) {
+      let collected;
+      try {
+        collected = fn() || [];
+      } catch (e) {
+        collected = [{ name: 'metrics_collector_errors', type: 'gauge', help: 'A metrics collector threw while rendering', samples: [{ labels: { error: e.message }, value: 1 }] }];
+      }
+      for (const c of collected) {
+        const series = new Map(c.samples.map(s => [labelText(s.labels || {}), { labels: s.labels || {}, value: s.value }]));
+        renderFamily(c.name, { type: c.type, help: c.help, series }, lines);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    histogram,
+    collect,
+    render
+  };
+}
+
+// ---------- The process registry ----------
+
+const registry = createRegistry();
+
+const httpRequests = registry.counter('http_requests_total', 'HTTP requests answered, by route template and status code');
+const httpDuration = registry.histogram('http_request_duration_seconds', 'Time to answer an HTTP request, by route template');
+const providerRequests = registry.counter('provider_requests_total', 'Outbound provider calls by outcome (ok, http_error, network_error); one per attempt');
+const providerDuration = registry.histogram('provider_request_duration_seconds', 'Outbound provider call duration, per attempt');
+const providerRetries = registry.counter('provider_retries_total', 'Provider call attempts that were axios-retry retries');
+const llmTokens = registry.counter('llm_tokens_total', 'LLM tokens reported by provider responses, by model and kind (input, output)');
+
+registry.collect(() => {
+  const mem = process.memoryUsage();
+  const cpu = process.cpuUsage();
+  return [
+    { name: 'process_resident_memory_bytes', type: 'gauge', help: 'Resident memory size in bytes', samples: [{ value: mem.rss }] },
+    { name: 'process_heap_used_bytes', type: 'gauge', help: 'V8 heap in use in bytes', samples: [{ value: mem.heapUsed }] },
+    { name: 'process_cpu_seconds_total', type: 'counter', help: 'User and system CPU time in seconds', samples: [{ value: (cpu.user + cpu.system) / 1e6 }] },
+    { name: 'process_start_time_seconds', type: 'gauge', help: 'Process start time since the epoch in seconds', samples: [{ value: Math.round(Date.now() / 1000 - process.uptime()) }] }
+  ];
+});
+
+// Counts every response by route template once it has been sent
+function middleware() {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : NO_ROUTE;
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, seconds);
+    });
+    next();
+  };
+}
+
+// call: { provider, status, durationMs, attempt, failed, response } (lib/logger)
+function observeProviderCall(call) {
+  const outcome = !call.failed ? 'ok' : call.status ? 'http_error' : 'network_error';
+  providerRequests.inc({ provider: call.provider, outcome });
+  providerDuration.observe({ provider: call.provider }, call.durationMs / 1000);
+  if (call.attempt > 1) providerRetries.inc({ provider: call.provider });
+  const usage = !call.failed && call.response ? tokenUsage(call.response.data) : null;
+  if (usage) {
+    if (usage.input) llmTokens.inc({ provider: call.provider, model: usage.model, kind: 'input' }, usage.input);
+    if (usage.output) llmTokens.inc({ provider: call.provider, model: usage.model, kind: 'output' }, usage.output);
+  }
+}
+
+module.exports = {
+  createRegistry,
+  counter: registry.counter,
+  histogram: registry.histogram,
+  collect: registry.collect,
+  render: registry.render,
+  middleware,
+  observeProviderCall
+};
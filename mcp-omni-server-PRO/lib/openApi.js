@@ -0,0 +1,435 @@
+// ---------- OpenAPI description ----------
+// Builds an OpenAPI 3.1 document from the Express app itself, so it cannot drift from the
+// routes: every registered route becomes an operation, and the JSON Schemas routes declare
+// with validateRequest (middleware.schemas) become its parameters, request body and any
+// declared responses. requireScope middleware (middleware.scope) supplies the scope an
+// operation needs. Summaries come from the comment written directly above each route in
+// server.js.
+//
+// docsPage() is a self-contained HTML page (no CDN) that renders the document and can send
+// requests with an API key.
+
+const fs = require('fs');
+
+const BODY_METHODS = ['post', 'put', 'patch'];
+
+// Express '/api/leads/:id' -> OpenAPI '/api/leads/{id}'
+function openApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function pathParams(path) {
+  return [...path.matchAll(/:([A-Za-z0-9_]+)/g)].map(m => m[1]);
+}
+
+// Comment lines directly above `app.get('/path'` etc.; keyed "get /path"
+function routeComments(sourceFile) {
+  let source;
+  try {
+    source = fs.readFileSync(sourceFile, 'utf8');
+  } catch {
+    return {};
+  }
+  const lines = source.split('\n');
+  const out = {};
+  lines.forEach((line, i) => {
+    const m = line.match(/^app\.(get|post|put|patch|delete)\(\s*'([^']+)'/);
+    if (!m) return;
+    const comment = [];
+    for (let j = i - 1; j >= 0 && /^\s*\/\/(?!\s*[=-]{3,})/.test(lines[j]); j--) {
+      comment.unshift(lines[j].replace(/^\s*\/\/\s?/, '').trim());
+    }
+    if (comment.length) out[`${m[1]} ${m[2]}`] = comment.join(' ');
+  });
+  return out;
+}
+
+// The validator's errorMessage is not a JSON Schema keyword; readers get it as the description
+function toDocSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toDocSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'errorMessage') continue;
+    out[key] = key === 'enum' || key === 'required' || key === 'const' ? value : toDocSchema(value);
+  }
+  if (schema.errorMessage && !out.description) out.description = schema.errorMessage;
+  return out;
+}
+
+function tagFor(path) {
+  if (path.startsWith('/mcp')) return 'mcp';
+  const m = path.match(/^\/api\/([^/]+)/);
+  return m ? m[1] : 'service';
+}
+
+function summaryFor(method, path) {
+  return `${method.toUpperCase()} ${path}`;
+}
+
+function operationId(method, path) {
+  const words = path.replace(/[:{}]/g, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return [method, ...words.map(w => w[0].toUpperCase() + w.slice(1))].join('');
+}
+
+const SUCCESS_SCHEMA = {
+  type: 'object',
+  required: ['ok'],
+  properties: {
+    ok: { const: true },
+    requestId: { type: 'string' },
+    processingTime: { type: 'integer', description: 'Milliseconds spent on the request' },
+    serverTimestamp: { type: 'string', format: 'date-time' }
+  }
+};
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['ok', 'error'],
+  properties: {
+    ok: { const: false },
+    error: { type: 'string', description: 'Machine-readable error code' },
+    message: { type: 'string' },
+    requestId: { type: 'string' }
+  }
+};
+
+const INVALID_INPUT_SCHEMA = {
+  allOf: [{ $ref: '#/components/schemas/Error' }],
+  properties: {
+    error: { const: 'invalid_input' },
+    details: { type: 'array', items: { type: 'string' } },
+    fields: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          in: { type: 'string', enum: ['params', 'query', 'body'] },
+          path: { type: 'string', description: 'Field path, e.g. leads[2].email' },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+function errorResponse(description, schemaRef = '#/components/schemas/Error') {
+  return { description, content: { 'application/json': { schema: { $ref: schemaRef } } } };
+}
+
+const COMPONENT_RESPONSES = {
+  InvalidInput: errorResponse('The request does not match the route schema; every problem is listed', '#/components/schemas/InvalidInput'),
+  Unauthorized: errorResponse('API key missing, unknown, expired or revoked'),
+  Forbidden: errorResponse('The API key lacks the scope this route needs (insufficient_scope)'),
+  RateLimited: {
+    ...errorResponse('A rate-limit bucket is empty (rate_limited)'),
+    headers: { 'Retry-After': { description: 'Seconds until a request will be accepted', schema: { type: 'integer' } } }
+  },
+  ServerError: errorResponse('The route or a provider it calls failed')
+};
+
+function queryParameters(schema) {
+  if (!schema || !schema.properties) return [];
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: 'query',
+    required: required.includes(name),
+    ...(property.description ? { description: property.description } : {}),
+    schema: toDocSchema(property)
+  }));
+}
+
+function pathParameters(path, schema) {
+  const properties = schema?.properties || {};
+  return pathParams(path).map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: properties[name] ? toDocSchema(properties[name]) : { type: 'string' }
+  }));
+}
+
+// Schemas attached by validateRequest, and the scope from requireScope, anywhere in the route stack
+function routeMeta(route) {
+  const meta = { schemas: {}, scope: null };
+  for (const layer of route.stack) {
+    if (layer.handle.schemas) Object.assign(meta.schemas, layer.handle.schemas);
+    if (layer.handle.scope) meta.scope = layer.handle.scope;
+  }
+  return meta;
+}
+
+function buildOperation(method, path, meta, { comments, publicPaths, mcpTools }) {
+  const { schemas, scope } = meta;
+  const isPublic = publicPaths.includes(path);
+  const comment = comments[`${method} ${path}`];
+  const operation = {
+    operationId: operationId(method, path),
+    tags: [tagFor(path)],
+    summary: comment && comment.length <= 120 ? comment : summaryFor(method, path),
+    ...(comment && comment.length > 120 ? { description: comment } : {})
+  };
+  if (scope) {
+    operation.description = [operation.description, `Requires scope \`${scope}\`.`].filter(Boolean).join('\n\n');
+    operation['x-required-scope'] = scope;
+  }
+  const tool = mcpTools[`${method} ${path}`];
+  if (tool) operation['x-mcp-tool'] = tool;
+  if (isPublic) operation.security = [];
+
+  const parameters = [...pathParameters(path, schemas.params), ...queryParameters(schemas.query)];
+  if (parameters.length) operation.parameters = parameters;
+
+  if (schemas.body && BODY_METHODS.includes(method)) {
+    operation.requestBody = {
+      required: (schemas.body.required || []).length > 0 || !!(schemas.body.anyOf || schemas.body.if || schemas.body.minProperties),
+      content: { 'application/json': { schema: toDocSchema(schemas.body) } }
+    };
+  }
+
+  const responses = {};
+  const declared = schemas.responses || {};
+  if (!Object.keys(declared).some(status => status.startsWith('2'))) {
+    responses['200'] = { description: 'Success', content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } };
+  }
+  for (const [status, schema] of Object.entries(declared)) {
+    responses[status] = {
+      description: schema.description || (status.startsWith('2') ? 'Success' : 'Error'),
+      content: { 'application/json': { schema: toDocSchema(schema) } }
+    };
+  }
+  if (schemas.params || schemas.query || schemas.body) responses['400'] = { $ref: '#/components/responses/InvalidInput' };
+  if (!isPublic) {
+    responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+    if (scope) responses['403'] = { $ref: '#/components/responses/Forbidden' };
+    responses['429'] = { $ref: '#/components/responses/RateLimited' };
+  }
+  if (!isPublic) responses['500'] = { $ref: '#/components/responses/ServerError' };
+  operation.responses = responses;
+  return operation;
+}
+
+// options: { title, version, description, sourceFile, publicPaths, mcpTools: { "post /api/x": "tool_name" },
+// schemas: extra named component schemas }
+function buildSpec(app, options = {}) {
+  const { title = 'API', version = '1.0.0', description, sourceFile, publicPaths = [], mcpTools = {}, schemas = {} } = options;
+  const comments = sourceFile ? routeComments(sourceFile) : {};
+  const paths = {};
+  const tags = new Set();
+  for (const layer of app._router.stack) {
+    const route = layer.route;
+    if (!route || typeof route.path !== 'string') continue;
+    const meta = routeMeta(route);
+    const key = openApiPath(route.path);
+    for (const method of Object.keys(route.methods)) {
+      if (method === '_all') continue;
+      paths[key] = paths[key] || {};
+      paths[key][method] = buildOperation(method, route.path, meta, { comments, publicPaths, mcpTools });
+      tags.add(paths[key][method].tags[0]);
+    }
+  }
+  return {
+    openapi: '3.1.0',
+    info: { title, version, ...(description ? { description } : {}) },
+    tags: [...tags].sort().map(name => ({ name })),
+    security: [{ apiKey: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'x-api-key', description: 'API key from /api/admin/keys (or the ADMIN_API_KEY bootstrap key)' }
+      },
+      schemas: { Success: SUCCESS_SCHEMA, Error: ERROR_SCHEMA, InvalidInput: INVALID_INPUT_SCHEMA, ...schemas },
+      responses: COMPONENT_RESPONSES
+    }
+  };
+}
+
+function docsPage({ title = 'API', specUrl = '/openapi.json' } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title} — API docs</title>
+<style>
+  body { margin: 0; font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2933; display: flex; height: 100vh; }
+  nav { width: 280px; overflow-y: auto; border-right: 1px solid #e4e7eb; padding: 16px; box-sizing: border-box; background: #f8fafc; }
+  main { flex: 1; overflow-y: auto; padding: 24px 32px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; text-transform: capitalize; }
+  nav a { display: block; color: #334e68; text-decoration: none; padding: 2px 0; font-size: 13px; }
+  nav a:hover { text-decoration: underline; }
+  nav input { width: 100%; box-sizing: border-box; margin: 8px 0 12px; padding: 6px; }
+  details { border: 1px solid #e4e7eb; border-radius: 6px; margin: 6px 0; }
+  summary { cursor: pointer; padding: 8px 12px; display: flex; gap: 10px; align-items: baseline; }
+  .method { font: bold 11px monospace; text-transform: uppercase; padding: 2px 6px; border-radius: 3px; color: #fff; min-width: 44px; text-align: center; }
+  .get { background: #2f80ed; } .post { background: #27ae60; } .patch { background: #f2994a; } .put { background: #9b51e0; } .delete { background: #eb5757; }
+  .path { font-family: monospace; }
+  .summary { color: #52606d; }
+  .body { padding: 0 12px 12px; }
+  .scope { display: inline-block; font: 12px monospace; background: #fff3c4; padding: 1px 6px; border-radius: 3px; }
+  .mcp { display: inline-block; font: 12px monospace; background: #e3f8ff; padding: 1px 6px; border-radius: 3px; }
+  pre { background: #f5f7fa; padding: 8px; border-radius: 4px; overflow-x: auto; font-size: 12px; }
+  table { border-collapse: collapse; margin: 6px 0; }
+  td, th { border: 1px solid #e4e7eb; padding: 4px 8px; text-align: left; font-size: 13px; }
+  textarea { width: 100%; min-height: 120px; font: 12px monospace; box-sizing: border-box; }
+  button { margin-top: 6px; padding: 6px 14px; cursor: pointer; }
+  .key { margin-top: 8px; }
+  .key input { width: 100%; box-sizing: border-box; padding: 6px; }
+</style>
+</head>
+<body>
+<nav>
+  <strong id="title">${title}</strong>
+  <div class="key"><label>API key (x-api-key)<input id="apiKey" type="password" autocomplete="off"></label></div>
+  <input id="filter" placeholder="Filter routes">
+  <div id="toc"></div>
+</nav>
+<main>
+  <h1>${title}</h1>
+  <div id="intro"><a href="${specUrl}">${specUrl}</a></div>
+  <div id="ops">Loading…</div>
+</main>
+<script>
+(function () {
+  var keyInput = document.getElementById('apiKey');
+  keyInput.value = localStorage.getItem('omniApiKey') || '';
+  keyInput.addEventListener('change', function () { localStorage.setItem('omniApiKey', keyInput.value); });
+
+  function el(tag, attrs, children) {
+    var node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (k) { if (k === 'text') node.textContent = attrs[k]; else node.setAttribute(k, attrs[k]); });
+    (children || []).forEach(function (c) { if (c) node.appendChild(c); });
+    return node;
+  }
+
+  function resolve(spec, schema) {
+    if (schema && schema.$ref) return schema.$ref.split('/').slice(1).reduce(function (o, p) { return o[p]; }, spec);
+    return schema;
+  }
+
+  // A starting payload for "Try it": required fields and their examples or defaults
+  function example(schema, depth) {
+    depth = depth || 0;
+    if (!schema || depth > 4) return null;
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (schema.enum) return schema.enum[0];
+    if (schema.then && schema['else']) return example(schema['else'], depth);
+    var type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    if (type === 'object' || schema.properties) {
+      var out = {};
+      var required = schema.required || (schema.anyOf && schema.anyOf[0] && schema.anyOf[0].required) || [];
+      required.forEach(function (k) { out[k] = example((schema.properties || {})[k], depth + 1); });
+      return out;
+    }
+    if (type === 'array') return schema.minItems ? [example(schema.items, depth + 1)] : [];
+    if (type === 'integer' || type === 'number') return schema.minimum !== undefined ? schema.minimum : 0;
+    if (type === 'boolean') return false;
+    if (type === 'string') return schema.format === 'email' ? 'buyer@example.com' : schema.format === 'uri' ? 'https://example.com' : schema.format === 'date-time' ? new Date().toISOString() : '';
+    return null;
+  }
+
+  function operation(spec, path, method, op) {
+    var id = op.operationId;
+    var body = el('div', { 'class': 'body' });
+    if (op.description) body.appendChild(el('p', { text: op.description }));
+    if (op['x-required-scope']) body.appendChild(el('span', { 'class': 'scope', text: 'scope: ' + op['x-required-scope'] }));
+    if (op['x-mcp-tool']) body.appendChild(el('span', { 'class': 'mcp', text: ' MCP tool: ' + op['x-mcp-tool'] }));
+
+    var inputs = {};
+    if (op.parameters) {
+      var rows = op.parameters.map(function (p) {
+        var input = el('input', { placeholder: p.schema && p.schema.type ? [].concat(p.schema.type).join('|') : '' });
+        inputs[p.name] = { param: p, input: input };
+        return el('tr', {}, [el('td', { text: p.name + (p.required ? ' *' : '') }), el('td', { text: p['in'] }), el('td', { text: JSON.stringify(p.schema) }), el('td', {}, [input])]);
+      });
+      body.appendChild(el('h4', { text: 'Parameters' }));
+      body.appendChild(el('table', {}, [el('tr', {}, ['name', 'in', 'schema', 'value'].map(function (h) { return el('th', { text: h }); }))].concat(rows)));
+    }
+    var bodySchema = op.requestBody && op.requestBody.content['application/json'].schema;
+    var textarea = null;
+    if (bodySchema) {
+      body.appendChild(el('h4', { text: 'Request body' + (op.requestBody.required ? ' (required)' : '') }));
+      body.appendChild(el('pre', { text: JSON.stringify(bodySchema, null, 2) }));
+      textarea = el('textarea', {});
+      textarea.value = JSON.stringify(example(bodySchema), null, 2);
+    }
+    body.appendChild(el('h4', { text: 'Responses' }));
+    body.appendChild(el('table', {}, Object.keys(op.responses).map(function (status) {
+      var r = resolve(spec, op.responses[status]);
+      return el('tr', {}, [el('td', { text: status }), el('td', { text: r.description || '' })]);
+    })));
+
+    var result = el('pre', { text: '' });
+    var send = el('button', { text: 'Send request' });
+    send.addEventListener('click', function () {
+      var url = path;
+      var query = new URLSearchParams();
+      Object.keys(inputs).forEach(function (name) {
+        var v = inputs[name].input.value;
+        if (!v) return;
+        if (inputs[name].param['in'] === 'path') url = url.replace('{' + name + '}', encodeURIComponent(v));
+        else query.append(name, v);
+      });
+      if (query.toString()) url += '?' + query;
+      var init = { method: method.toUpperCase(), headers: { 'x-api-key': keyInput.value } };
+      if (textarea) { init.headers['content-type'] = 'application/json'; init.body = textarea.value; }
+      result.textContent = 'Sending…';
+      fetch(url, init).then(function (r) {
+        return r.text().then(function (text) {
+          try { text = JSON.stringify(JSON.parse(text), null, 2); } catch (e) {}
+          result.textContent = r.status + ' ' + r.statusText + '\\n\\n' + text;
+        });
+      }).catch(function (e) { result.textContent = String(e); });
+    });
+    body.appendChild(el('h4', { text: 'Try it' }));
+    if (textarea) body.appendChild(textarea);
+    body.appendChild(send);
+    body.appendChild(result);
+
+    return el('details', { id: id, 'data-search': (method + ' ' + path + ' ' + (op.summary || '')).toLowerCase() }, [
+      el('summary', {}, [el('span', { 'class': 'method ' + method, text: method }), el('span', { 'class': 'path', text: path }), el('span', { 'class': 'summary', text: op.summary && op.summary.indexOf(path) === -1 ? op.summary : '' })]),
+      body
+    ]);
+  }
+
+  fetch('${specUrl}').then(function (r) { return r.json(); }).then(function (spec) {
+    document.title = spec.info.title + ' — API docs';
+    document.getElementById('title').textContent = spec.info.title + ' ' + spec.info.version;
+    if (spec.info.description) document.getElementById('intro').appendChild(el('p', { text: spec.info.description }));
+    var byTag = {};
+    Object.keys(spec.paths).forEach(function (path) {
+      Object.keys(spec.paths[path]).forEach(function (method) {
+        var op = spec.paths[path][method];
+        (byTag[op.tags[0]] = byTag[op.tags[0]] || []).push({ path: path, method: method, op: op });
+      });
+    });
+    var ops = document.getElementById('ops');
+    var toc = document.getElementById('toc');
+    ops.textContent = '';
+    Object.keys(byTag).sort().forEach(function (tag) {
+      ops.appendChild(el('h2', { id: 'tag-' + tag, text: tag }));
+      toc.appendChild(el('a', { href: '#tag-' + tag, text: tag + ' (' + byTag[tag].length + ')' }));
+      byTag[tag].forEach(function (o) { ops.appendChild(operation(spec, o.path, o.method, o.op)); });
+    });
+    document.getElementById('filter').addEventListener('input', function (e) {
+      var q = e.target.value.toLowerCase();
+      Array.prototype.forEach.call(document.querySelectorAll('details'), function (d) {
+        d.style.display = d.getAttribute('data-search').indexOf(q) === -1 ? 'none' : '';
+      });
+    });
+  }).catch(function (e) { document.getElementById('ops').textContent = 'Could not load ${specUrl}: ' + e; });
+})();
+</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  buildSpec,
+  docsPage,
+  openApiPath,
+  routeComments
+};
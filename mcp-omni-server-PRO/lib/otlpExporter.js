@@ -0,0 +1,163 @@
+// ---------- OTLP export (OpenTelemetry over HTTP/JSON) ----------
+// Ships spans and log records to an OpenTelemetry collector, for setups that want traces in
+// Jaeger/Tempo/Honeycomb rather than only in stdout. Off unless OTEL_EXPORTER_OTLP_ENDPOINT
+// is set (usually a local collector, http://localhost:4318); records are batched and posted
+// to <endpoint>/v1/traces and <endpoint>/v1/logs. OTEL_EXPORTER_OTLP_HEADERS ("k=v,k2=v2")
+// adds headers, OTEL_SERVICE_NAME names the service.
+//
+// Export is best effort: a collector that is down loses batches, never requests. It posts
+// with the http module directly so exporting is not itself traced as a provider call.
+
+const http = require('http');
+const https = require('https');
+
+const FLUSH_INTERVAL_MS = 5000;
+const MAX_BATCH = 200;
+const MAX_BUFFERED = 5000;
+const POST_TIMEOUT_MS = 5000;
+const SCOPE = { name: 'mcp-omni-server-pro' };
+
+// OTLP severity numbers
+const SEVERITY = { debug: 5, info: 9, warn: 13, error: 17 };
+
+function parseHeaders(value) {
+  const headers = {};
+  for (const pair of String(value || '').split(',')) {
+    const i = pair.indexOf('=');
+    if (i > 0) headers[decodeURIComponent(pair.slice(0, i).trim())] = decodeURIComponent(pair.slice(i + 1).trim());
+  }
+  return headers;
+}
+
+function anyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  if (typeof value === 'string') return { stringValue: value };
+  return { stringValue: JSON.stringify(value) };
+}
+
+function attributes(fields) {
+  return Object.entries(fields)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([key, v]) => ({ key, value: anyValue(v) }));
+}
+
+function nanos(ms) {
+  return String(BigInt(Math.round(ms * 1000)) * 1000n);
+}
+
+function createExporter({ endpoint, headers = {}, serviceName = 'mcp-omni-server-pro' }) {
+  const base = endpoint.replace(/\/+$/, '');
+  const resource = { attributes: attributes({ 'service.name': serviceName }) };
+  const queues = { traces: [], logs: [] };
+  const stats = { exported: { traces: 0, logs: 0 }, dropped: 0, failed_posts: 0, last_error: null };
+
+  function post(signal, body) {
+    return new Promise(resolve => {
+      const target = new URL(`${base}/v1/${signal}`);
+      const payload = JSON.stringify(body);
+      const req = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'content-type': 'application/json', 'content-length': Buffer.byteLength(payload) },
+        timeout: POST_TIMEOUT_MS
+      }, res => {
+        res.resume();
+        if (res.statusCode >= 300) {
+          stats.failed_posts++;
+          stats.last_error = `${signal}: HTTP ${res.statusCode}`;
+        }
+        resolve();
+      });
+      req.on('timeout', () => req.destroy(new Error('timed out')));
+      req.on('error', e => {
+        stats.failed_posts++;
+        stats.last_error = `${signal}: ${e.message}`;
+        resolve();
+      });
+      req.end(payload);
+    });
+  }
+
+  function enqueue(signal, item) {
+    const queue = queues[signal];
+    if (queue.length >= MAX_BUFFERED) {
+      queue.shift();
+      stats.dropped++;
+    }
+    queue.push(item);
+    if (queue.length >= MAX_BATCH) flush();
+  }
+
+  // span: { traceId, spanId, parentSpanId?, name, kind: 'server'|'client', start, end (ms), error?, attributes }
+  function addSpan(span) {
+    enqueue('traces', {
+      traceId: span.traceId,
+      spanId: span.spanId,
+      parentSpanId: span.parentSpanId || undefined,
+      name: span.name,
+      kind: span.kind === 'server' ? 2 : 3,
+      startTimeUnixNano: nanos(span.start),
+      endTimeUnixNano: nanos(span.end),
+      attributes: attributes(span.attributes || {}),
+      status: span.error ? { code: 2, message: span.error } : { code: 1 }
+    });
+  }
+
+  // record: { time (ms), level, msg, traceId?, spanId?, attributes }
+  function addLog(record) {
+    enqueue('logs', {
+      timeUnixNano: nanos(record.time),
+      severityNumber: SEVERITY[record.level],
+      severityText: record.level.toUpperCase(),
+      body: { stringValue: record.msg },
+      traceId: record.traceId || undefined,
+      spanId: record.spanId || undefined,
+      attributes: attributes(record.attributes || {})
+    });
+  }
+
+  async function flush() {
+    const spans = queues.traces.splice(0, MAX_BATCH);
+    const logs = queues.logs.splice(0, MAX_BATCH);
+    const posts = [];
+    if (spans.length) {
+      stats.exported.traces += spans.length;
+      posts.push(post('traces', { resourceSpans: [{ resource, scopeSpans: [{ scope: SCOPE, spans }] }] }));
+    }
+    if (logs.length) {
+      stats.exported.logs += logs.length;
+      posts.push(post('logs', { resourceLogs: [{ resource, scopeLogs: [{ scope: SCOPE, logRecords: logs }] }] }));
+    }
+    await Promise.all(posts);
+  }
+
+  const timer = setInterval(flush, FLUSH_INTERVAL_MS);
+  timer.unref();
+
+  return {
+    endpoint: base,
+    addSpan,
+    addLog,
+    flush,
+    status: () => ({ endpoint: base, buffered: { traces: queues.traces.length, logs: queues.logs.length }, ...stats }),
+    close: () => clearInterval(timer)
+  };
+}
+
+// The exporter described by the standard OTEL_* variables, or null when export is off
+function fromEnv(env = process.env) {
+  const endpoint = env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  if (!endpoint) return null;
+  return createExporter({
+    endpoint,
+    headers: parseHeaders(env.OTEL_EXPORTER_OTLP_HEADERS),
+    serviceName: env.OTEL_SERVICE_NAME || undefined
+  });
+}
+
+module.exports = {
+  createExporter,
+  fromEnv,
+  parseHeaders
+};
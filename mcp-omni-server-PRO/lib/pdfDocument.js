@@ -0,0 +1,225 @@
+// ---------- PDF document writer ----------
+// Just enough of PDF 1.4 to lay out reports without a headless browser or a native
+// dependency: US Letter pages, Helvetica and Helvetica-Bold (built into every viewer, so
+// nothing is embedded), filled and stroked rectangles, lines and text. Coordinates are in
+// points from the page's top-left corner; a text y is its baseline.
+//
+// Text is written in WinAnsiEncoding. Latin-1 and the usual typographic punctuation
+// (– — • ’ “ ” …) come through; anything else (emoji, CJK) is left out. Page content
+// streams are deflated with zlib.
+
+const zlib = require('zlib');
+
+const PAGE_SIZE = { width: 612, height: 792 };
+
+// Advance widths (1/1000 em) for characters 32-126, from the Adobe core font metrics
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Characters outside Latin-1 that WinAnsiEncoding has a code for: [code, width]
+const WIN_ANSI = {
+  '€': [0x80, 556], '‚': [0x82, 222], '„': [0x84, 333], '…': [0x85, 1000], '‘': [0x91, 222],
+  '’': [0x92, 222], '“': [0x93, 333], '”': [0x94, 333], '•': [0x95, 350], '–': [0x96, 556],
+  '—': [0x97, 1000], '™': [0x99, 1000]
+};
+
+// Widths of the Latin-1 letters and signs used in addresses and figures; others get 556
+const LATIN1_WIDTHS = { 0xa0: 278, 0xa9: 737, 0xae: 737, 0xb0: 400, 0xb7: 278, 0xd7: 584, 0xf7: 584 };
+
+function encodeChar(ch) {
+  const code = ch.codePointAt(0);
+  if (code >= 32 && code <= 126) return code;
+  if (WIN_ANSI[ch]) return WIN_ANSI[ch][0];
+  if (code >= 0xa0 && code <= 0xff) return code;
+  if (ch === '\t') return 32;
+  return null;
+}
+
+function charWidth(ch, bold) {
+  const code = ch.codePointAt(0);
+  if (code >= 32 && code <= 126) return WIDTHS[bold ? 'bold' : 'regular'][code - 32];
+  if (WIN_ANSI[ch]) return WIN_ANSI[ch][1];
+  if (code >= 0xa0 && code <= 0xff) return LATIN1_WIDTHS[code] || 556;
+  return ch === '\t' ? 278 : 0;
+}
+
+// A PDF string literal: ( ) and \ escaped, bytes outside ASCII as octal
+function pdfString(text) {
+  let out = '(';
+  for (const ch of String(text)) {
+    const code = encodeChar(ch);
+    if (code === null) continue;
+    if (code === 0x28 || code === 0x29 || code === 0x5c) out += `\\${String.fromCharCode(code)}`;
+    else if (code < 32 || code > 126) out += `\\${code.toString(8).padStart(3, '0')}`;
+    else out += String.fromCharCode(code);
+  }
+  return `${out})`;
+}
+
+// '#667eea' -> '0.4 0.494 0.918'
+function rgb(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!m) return '0 0 0';
+  return m.slice(1).map(h => +(parseInt(h, 16) / 255).toFixed(3)).join(' ');
+}
+
+function num(n) {
+  return +n.toFixed(2);
+}
+
+function create({ title = '', author = '', subject = '' } = {}) {
+  const pages = [];
+  let current = null;
+  const { width, height } = PAGE_SIZE;
+
+  function ops() {
+    if (!current) throw new Error('addPage() before drawing');
+    return current;
+  }
+
+  function widthOf(text, size = 10, bold = false) {
+    let units = 0;
+    for (const ch of String(text)) units += charWidth(ch, bold);
+    return (units * size) / 1000;
+  }
+
+  // Breaks text into lines no wider than maxWidth, at spaces where it can
+  function wrap(text, maxWidth, size = 10, bold = false) {
+    const lines = [];
+    for (const paragraph of String(text ?? '').split('\n')) {
+      let line = '';
+      for (const word of paragraph.split(/ +/)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (widthOf(candidate, size, bold) <= maxWidth) {
+          line = candidate;
+          continue;
+        }
+        if (line) lines.push(line);
+        line = word;
+        // A single word wider than the line is cut where it overflows
+        while (widthOf(line, size, bold) > maxWidth && line.length > 1) {
+          let cut = line.length - 1;
+          while (cut > 1 && widthOf(line.slice(0, cut), size, bold) > maxWidth) cut--;
+          lines.push(line.slice(0, cut));
+          line = line.slice(cut);
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  // Shortens text with an ellipsis until it fits
+  function truncate(text, maxWidth, size = 10, bold = false) {
+    let t = String(text ?? '');
+    if (widthOf(t, size, bold) <= maxWidth) return t;
+    while (t.length > 1 && widthOf(`${t}…`, size, bold) > maxWidth) t = t.slice(0, -1);
+    return `${t.trimEnd()}…`;
+  }
+
+  return {
+    width,
+    height,
+    widthOf,
+    wrap,
+    truncate,
+
+    addPage() {
+      current = [];
+      pages.push(current);
+      return pages.length - 1;
+    },
+
+    // Go back to an earlier page (page numbers and footers are drawn once the count is known)
+    usePage(index) {
+      current = pages[index];
+    },
+
+    pageCount: () => pages.length,
+
+    rect(x, y, w, h, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+      const o = ops();
+      o.push('q');
+      if (fill) o.push(`${rgb(fill)} rg`);
+      if (stroke) o.push(`${rgb(stroke)} RG ${num(lineWidth)} w`);
+      o.push(`${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re ${fill && stroke ? 'B' : fill ? 'f' : 'S'}`);
+      o.push('Q');
+    },
+
+    line(x1, y1, x2, y2, { color = '#000000', lineWidth = 1 } = {}) {
+      ops().push(`q ${rgb(color)} RG ${num(lineWidth)} w ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S Q`);
+    },
+
+    // align 'right' and 'center' position the text within [x, x + width]
+    text(value, x, y, { size = 10, bold = false, color = '#000000', align = 'left', width: box = 0 } = {}) {
+      const text = String(value ?? '');
+      if (!text) return;
+      const w = widthOf(text, size, bold);
+      const left = align === 'right' ? x + box - w : align === 'center' ? x + (box - w) / 2 : x;
+      ops().push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${num(height - y)} Td ${pdfString(text)} Tj ET`);
+    },
+
+    toBuffer() {
+      const objects = [];
+      // push() returns the new length, which is the object's number
+      const add = body => objects.push(body);
+      const catalog = add(null);
+      const pagesRef = add(null);
+      const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const info = add(`<< /Title ${pdfString(title)} /Author ${pdfString(author)} /Subject ${pdfString(subject)} /Producer (mcp-omni-server) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+      const kids = pages.map(content => {
+        const stream = zlib.deflateSync(Buffer.from(content.join('\n'), 'latin1'));
+        const contentRef = add(Buffer.concat([Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'), stream, Buffer.from('\nendstream', 'latin1')]));
+        return add(`<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${contentRef} 0 R >>`);
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+      objects[pagesRef - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let offset = chunks[0].length;
+      const offsets = objects.map((body, i) => {
+        const chunk = Buffer.concat([
+          Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+          Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+          Buffer.from('\nendobj\n', 'latin1')
+        ]);
+        chunks.push(chunk);
+        const at = offset;
+        offset += chunk.length;
+        return at;
+      });
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF\n'
+      ].join('\n');
+      chunks.push(Buffer.from(xref, 'latin1'));
+      return Buffer.concat(chunks);
+    }
+  };
+}
+
+module.exports = { PAGE_SIZE, create };
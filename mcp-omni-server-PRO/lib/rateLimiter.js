@@ -0,0 +1,318 @@
+// ---------- Rate limiting (token buckets) ----------
+// Each caller gets a token bucket per policy: `burst` tokens to start with (default: limit),
+// refilled at `limit` tokens per `windowSeconds`. A request takes one token from its route
+// bucket, if a routes entry matches its path, and one from its caller bucket (the key's own
+// policy from `keys`, else `default`); an empty bucket answers 429. The caller is the API key
+// when there is one, otherwise the client IP. Before the key is even looked up, every client
+// IP also takes a token from the `ip` bucket, so a flood of bad keys is throttled too.
+//
+// Buckets live in a store: { take(key, bucket) -> { allowed, tokens }, size(), close() }.
+// The memory store is per process and evicts buckets once they have refilled. With
+// RATE_LIMIT_REDIS_URL (or REDIS_URL) set, buckets live in Redis so limits hold across
+// replicas and restarts; if Redis is unreachable the limiter falls back to memory rather
+// than refusing traffic.
+
+const marketConfig = require('./marketConfig');
+const { createClient } = require('./respClient');
+
+const DEFAULTS = {
+  default: { limit: 2000, windowSeconds: 900, burst: 100 },
+  // Sized for several keys sharing one address (an n8n host)
+  ip: { limit: 6000, windowSeconds: 900, burst: 300 },
+  routes: {
+    '/api/osint/multi-site-discovery': { limit: 30, windowSeconds: 3600, burst: 5 },
+    '/api/osint/complete-discovery-workflow': { limit: 10, windowSeconds: 3600, burst: 2 }
+  },
+  keys: {}
+};
+const EVICT_INTERVAL_MS = 60000;
+const MEMORY_MAX_BUCKETS = 100000;
+const REDIS_PREFIX = 'omni:rl:';
+
+// ---------- Stores ----------
+
+function refill(state, bucket, now) {
+  if (!state) return bucket.capacity;
+  return Math.min(bucket.capacity, state.tokens + Math.max(0, now - state.updatedAt) * bucket.refillPerMs);
+}
+
+function createMemoryStore({ maxBuckets = MEMORY_MAX_BUCKETS } = {}) {
+  const buckets = new Map(); // key -> { tokens, updatedAt, fullAt }; oldest update first
+
+  function take(key, bucket, cost = 1) {
+    const now = Date.now();
+    let tokens = refill(buckets.get(key), bucket, now);
+    const allowed = tokens >= cost;
+    if (allowed) tokens -= cost;
+    buckets.delete(key);
+    buckets.set(key, { tokens, updatedAt: now, fullAt: now + (bucket.capacity - tokens) / bucket.refillPerMs });
+    if (buckets.size > maxBuckets) buckets.delete(buckets.keys().next().value);
+    return { allowed, tokens };
+  }
+
+  // A full bucket is the same as no bucket, so it can go
+  function evict(now = Date.now()) {
+    let removed = 0;
+    for (const [key, state] of buckets) {
+      if (state.fullAt <= now) {
+        buckets.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  const timer = setInterval(evict, EVICT_INTERVAL_MS);
+  timer.unref();
+
+  return {
+    type: 'memory',
+    take,
+    evict,
+    size: () => buckets.size,
+    close: () => clearInterval(timer)
+  };
+}
+
+// Refill and take in one script so replicas never race; Redis' clock is the only clock
+const TAKE_SCRIPT = `
+if redis.replicate_commands then redis.replicate_commands() end
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local t = redis.call('TIME')
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+// Buckets expire in Redis once refilled, which is this store's eviction
+function createRedisStore(url) {
+  const client = createClient(url);
+
+  async function take(key, bucket, cost = 1) {
+    const [allowed, tokens] = await client.command('EVAL', TAKE_SCRIPT, 1, REDIS_PREFIX + key, bucket.capacity, bucket.refillPerMs, cost);
+    return { allowed: allowed === 1, tokens: Number(tokens) };
+  }
+
+  async function size() {
+    let cursor = '0';
+    let count = 0;
+    do {
+      const [next, keys] = await client.command('SCAN', cursor, 'MATCH', `${REDIS_PREFIX}*`, 'COUNT', 1000);
+      cursor = next;
+      count += keys.length;
+    } while (cursor !== '0');
+    return count;
+  }
+
+  return {
+    type: 'redis',
+    target: client.target,
+    connected: client.connected,
+    take,
+    size,
+    close: client.close
+  };
+}
+
+// ---------- Limiter ----------
+
+let primary = null;
+let memory = null;
+const fallback = { count: 0, last_error: null, last_error_at: null };
+const counts = { allowed: 0, limited: 0 };
+
+function memoryStore() {
+  if (!memory) memory = createMemoryStore();
+  return memory;
+}
+
+function store() {
+  if (!primary) {
+    const url = process.env.RATE_LIMIT_REDIS_URL || process.env.REDIS_URL;
+    primary = url ? createRedisStore(url) : memoryStore();
+  }
+  return primary;
+}
+
+// Swap the store (tests, or a store for another backend)
+function useStore(next) {
+  if (primary && primary !== next && primary !== memory) primary.close();
+  primary = next;
+}
+
+function settings() {
+  const configured = marketConfig.settings().rateLimitSettings || {};
+  return {
+    default: { ...DEFAULTS.default, ...(configured.default || {}) },
+    ip: { ...DEFAULTS.ip, ...(configured.ip || {}) },
+    routes: { ...DEFAULTS.routes, ...(configured.routes || {}) },
+    keys: configured.keys || {}
+  };
+}
+
+// "/api/x" matches that path only; "/api/x/*" matches everything under it. Longest wins.
+function routePolicy(routes, path) {
+  let best = null;
+  for (const [pattern, policy] of Object.entries(routes)) {
+    const matches = pattern.endsWith('/*') ? path.startsWith(pattern.slice(0, -1)) : path === pattern;
+    if (matches && (!best || pattern.length > best.pattern.length)) best = { pattern, policy };
+  }
+  return best;
+}
+
+function bucketFor(name, policy) {
+  const capacity = policy.burst || policy.limit;
+  return { name, limit: policy.limit, windowSeconds: policy.windowSeconds, capacity, refillPerMs: policy.limit / (policy.windowSeconds * 1000) };
+}
+
+// Policies that apply to one request, route first
+function policiesFor({ path, key }) {
+  const config = settings();
+  const out = [];
+  const route = routePolicy(config.routes, path);
+  if (route && route.policy) out.push(bucketFor(`route:${route.pattern}`, route.policy));
+  const keyPolicy = key && (config.keys[key.id] || config.keys[key.name]);
+  out.push(keyPolicy ? bucketFor(`key:${key.id}`, keyPolicy) : bucketFor('default', config.default));
+  return out;
+}
+
+async function takeFrom(key, bucket) {
+  const s = store();
+  if (s === memory) return s.take(key, bucket);
+  try {
+    return await s.take(key, bucket);
+  } catch (e) {
+    fallback.count++;
+    fallback.last_error = e.message;
+    fallback.last_error_at = new Date().toISOString();
+    return memoryStore().take(key, bucket);
+  }
+}
+
+function describeBucket(bucket, tokens) {
+  const remaining = Math.max(0, Math.floor(tokens));
+  return {
+    policy: bucket.name,
+    limit: bucket.capacity,
+    remaining,
+    // Seconds until the bucket is full again, and until the next token when it is empty
+    reset: Math.ceil((bucket.capacity - tokens) / bucket.refillPerMs / 1000),
+    retry_after: remaining >= 1 ? 0 : Math.ceil((1 - tokens) / bucket.refillPerMs / 1000),
+    header_policy: `${bucket.limit};w=${bucket.windowSeconds};burst=${bucket.capacity}`
+  };
+}
+
+// Returns { allowed, state } where state describes the tightest bucket (or the one that
+// refused). A refused route bucket leaves the caller bucket untouched.
+async function check({ subject, path, key }) {
+  let tightest = null;
+  for (const bucket of policiesFor({ path, key })) {
+    const { allowed, tokens } = await takeFrom(`${bucket.name}|${subject}`, bucket);
+    const state = describeBucket(bucket, tokens);
+    if (!allowed) {
+      counts.limited++;
+      return { allowed: false, state };
+    }
+    if (!tightest || state.remaining / state.limit < tightest.remaining / tightest.limit) tightest = state;
+  }
+  counts.allowed++;
+  return { allowed: true, state: tightest };
+}
+
+function setHeaders(res, state) {
+  res.setHeader('RateLimit-Limit', state.limit);
+  res.setHeader('RateLimit-Remaining', state.remaining);
+  res.setHeader('RateLimit-Reset', state.reset);
+  res.setHeader('RateLimit-Policy', state.header_policy);
+}
+
+function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+function refuse(res, state) {
+  setHeaders(res, state);
+  res.setHeader('Retry-After', state.retry_after);
+  res.status(429).json({
+    ok: false,
+    error: 'rate_limited',
+    policy: state.policy,
+    limit: state.limit,
+    retry_after: state.retry_after
+  });
+}
+
+// skip(req) -> true for paths that are never limited (health checks)
+function middleware({ skip = () => false } = {}) {
+  return async (req, res, next) => {
+    if (skip(req)) return next();
+    const subject = req.apiKey ? `key:${req.apiKey.id}` : `ip:${clientIp(req)}`;
+    let result;
+    try {
+      result = await check({ subject, path: req.path, key: req.apiKey });
+    } catch {
+      return next();
+    }
+    if (!result.allowed) return refuse(res, result.state);
+    setHeaders(res, result.state);
+    next();
+  };
+}
+
+// The per-IP bucket, mounted ahead of authentication. Only a refusal sets headers; the
+// caller's own bucket reports on requests that get through.
+function ipMiddleware({ skip = () => false } = {}) {
+  return async (req, res, next) => {
+    if (skip(req)) return next();
+    const bucket = bucketFor('ip', settings().ip);
+    let result;
+    try {
+      result = await takeFrom(`ip|${clientIp(req)}`, bucket);
+    } catch {
+      return next();
+    }
+    if (result.allowed) return next();
+    counts.limited++;
+    refuse(res, describeBucket(bucket, result.tokens));
+  };
+}
+
+async function status() {
+  const s = store();
+  let buckets = null;
+  try {
+    buckets = await s.size();
+  } catch {
+    buckets = null;
+  }
+  return {
+    store: { type: s.type, target: s.target || null, connected: s.connected ? s.connected() : true, buckets },
+    fallback: { ...fallback, memory_buckets: memory ? memory.size() : 0 },
+    counts: { ...counts },
+    policies: settings()
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  createMemoryStore,
+  createRedisStore,
+  useStore,
+  policiesFor,
+  check,
+  middleware,
+  ipMiddleware,
+  status
+};
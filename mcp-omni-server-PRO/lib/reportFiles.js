@@ -0,0 +1,108 @@
+// ---------- Stored report files ----------
+// Report PDFs kept so they can be sent as a link instead of an attachment. Files live in
+// DATA_DIR/reports, their details in the "report_files" collection. Each file's id is a
+// random 144-bit token: the link is the credential, so it can be opened without an API key
+// until it expires (reportSettings.pdfRetentionDays, 30 by default). Expired files are
+// removed by an hourly sweep and are never served.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createCollection, DATA_DIR } = require('./jsonStore');
+const marketConfig = require('./marketConfig');
+const requestContext = require('./requestContext');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const ID_PATTERN = /^[A-Za-z0-9_-]{24}$/;
+
+const dir = path.join(DATA_DIR, 'reports');
+let collection = null;
+let sweepTimer = null;
+
+function store() {
+  if (!collection) {
+    collection = createCollection('report_files');
+    fs.mkdirSync(dir, { recursive: true });
+    sweep();
+    startSweeping();
+  }
+  return collection;
+}
+
+function fileFor(id) {
+  return path.join(dir, `${id}.pdf`);
+}
+
+function retentionDays() {
+  return marketConfig.settings().reportSettings?.pdfRetentionDays || DEFAULT_RETENTION_DAYS;
+}
+
+// Writes the PDF and returns its record: { id, tenant, kind, filename, bytes, pages, created_at, expires_at }
+function save(buffer, { kind, filename, pages }) {
+  const records = store();
+  const id = crypto.randomBytes(18).toString('base64url');
+  const now = Date.now();
+  fs.writeFileSync(fileFor(id), buffer);
+  return records.put(id, {
+    id,
+    tenant: requestContext.tenantId(),
+    kind,
+    filename,
+    bytes: buffer.length,
+    pages,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + retentionDays() * 86400000).toISOString()
+  });
+}
+
+function live(record) {
+  return record && Date.parse(record.expires_at) > Date.now() ? record : null;
+}
+
+// The record and file contents for a link, or null when unknown or expired
+function read(id) {
+  if (!ID_PATTERN.test(id)) return null;
+  const record = live(store().get(id));
+  if (!record) return null;
+  try {
+    return { record, buffer: fs.readFileSync(fileFor(id)) };
+  } catch {
+    return null;
+  }
+}
+
+// The current tenant's unexpired files, newest first
+function list() {
+  const tenant = requestContext.tenantId();
+  return store().all()
+    .filter(r => r.tenant === tenant && live(r))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// Removes one of the current tenant's files before it expires
+function remove(id) {
+  const record = store().get(id);
+  if (!record || record.tenant !== requestContext.tenantId()) return false;
+  try { fs.unlinkSync(fileFor(id)); } catch {}
+  return store().remove(id);
+}
+
+function sweep() {
+  let removed = 0;
+  for (const record of collection.all()) {
+    if (live(record)) continue;
+    try { fs.unlinkSync(fileFor(record.id)); } catch {}
+    collection.remove(record.id);
+    removed++;
+  }
+  return removed;
+}
+
+function startSweeping() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+module.exports = { save, read, list, remove };
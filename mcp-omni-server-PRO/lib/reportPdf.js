@@ -0,0 +1,401 @@
+// ---------- Report PDFs ----------
+// Lays out the CMA and market reports as paginated PDFs (lib/pdfDocument) from the same data
+// the HTML versions use: a lib/cmaEngine result for the CMA, lib/marketStats figures for the
+// market report. Pages carry the brand bar, the agent footer and "Page n of N". Tables that
+// run past the bottom margin continue on the next page under their header row.
+//
+// Branding comes from reportSettings: brandName (else the agent's brokerage) and brandColor.
+// The footer names the request's agent_info, else the agent set in marketConfig.
+
+const pdfDocument = require('./pdfDocument');
+const marketConfig = require('./marketConfig');
+
+const DEFAULT_BRAND_COLOR = '#667eea';
+const MARGIN = 50;
+const FOOTER_HEIGHT = 40;
+const HEADING_HEIGHT = 38;
+const TEXT = '#333333';
+const MUTED = '#666666';
+const RULE = '#e9ecef';
+const SHADE = '#f8f9fa';
+const POSITIVE = '#11998e';
+const NEGATIVE = '#c0392b';
+
+function usd(n) {
+  return n === null || n === undefined ? '—' : `${n < 0 ? '-' : ''}$${Math.abs(Math.round(n)).toLocaleString('en-US')}`;
+}
+
+function signedUsd(n) {
+  return `${n > 0 ? '+' : ''}${usd(n)}`;
+}
+
+function signedPercent(n) {
+  return n === null || n === undefined ? '—' : `${n > 0 ? '+' : ''}${n}%`;
+}
+
+function count(n) {
+  return n === null || n === undefined ? '—' : Number(n).toLocaleString('en-US');
+}
+
+function longDate(iso) {
+  return new Date(`${iso}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+// Brand from reportSettings; agent from the request's agent_info, else marketConfig
+function branding(agentInfo = {}) {
+  const settings = marketConfig.settings();
+  const configured = settings.reportSettings || {};
+  return {
+    name: configured.brandName || agentInfo.brokerage || settings.brokerageName || '',
+    color: configured.brandColor || DEFAULT_BRAND_COLOR,
+    agent: {
+      name: agentInfo.name || settings.agentName,
+      phone: agentInfo.phone || settings.agentPhone,
+      email: agentInfo.email || settings.agentEmail
+    }
+  };
+}
+
+// A cursor over the document: blocks ask for the height they need and get a new page when
+// it is not there
+function createLayout({ title, subject, agentInfo = {} }) {
+  const brand = branding(agentInfo);
+  const doc = pdfDocument.create({ title, subject, author: brand.agent.name || brand.name });
+  const width = doc.width - MARGIN * 2;
+  const bottom = doc.height - MARGIN - FOOTER_HEIGHT;
+  let y = 0;
+  let pendingHeading = null;
+
+  function newPage() {
+    doc.addPage();
+    doc.rect(0, 0, doc.width, 8, { fill: brand.color });
+    y = MARGIN;
+  }
+
+  // A heading is drawn by the block after it, so the two always share a page
+  function ensure(height) {
+    const headingHeight = pendingHeading ? HEADING_HEIGHT : 0;
+    if (y + headingHeight + height > bottom) newPage();
+    if (!pendingHeading) return;
+    const text = pendingHeading;
+    pendingHeading = null;
+    y += 14;
+    doc.text(text, MARGIN, y, { size: 14, bold: true, color: TEXT });
+    doc.line(MARGIN, y + 6, MARGIN + width, y + 6, { color: brand.color, lineWidth: 2 });
+    y += HEADING_HEIGHT - 14;
+  }
+
+  function banner(heading, subheading) {
+    newPage();
+    doc.rect(0, 0, doc.width, 96, { fill: brand.color });
+    if (brand.name) doc.text(brand.name.toUpperCase(), MARGIN, 30, { size: 9, bold: true, color: '#ffffff' });
+    doc.text(heading, MARGIN, 60, { size: 22, bold: true, color: '#ffffff' });
+    doc.text(doc.truncate(subheading, width, 11), MARGIN, 80, { size: 11, color: '#ffffff' });
+    y = 96 + 28;
+  }
+
+  function heading(text) {
+    pendingHeading = text;
+  }
+
+  // Short paragraphs are kept on one page
+  function paragraph(text, { size = 10, color = TEXT, bold = false } = {}) {
+    const lineHeight = size * 1.4;
+    const lines = doc.wrap(text, width, size, bold);
+    if (lines.length <= 6) ensure(lines.length * lineHeight);
+    for (const line of lines) {
+      ensure(lineHeight);
+      doc.text(line, MARGIN, y + size, { size, color, bold });
+      y += lineHeight;
+    }
+    y += 6;
+  }
+
+  // items: [{ label, text }] or strings
+  function bullets(items, { size = 10 } = {}) {
+    const lineHeight = size * 1.4;
+    for (const item of items) {
+      const text = typeof item === 'string' ? item : `${item.label}: ${item.text}`;
+      doc.wrap(text, width - 14, size).forEach((line, i) => {
+        ensure(lineHeight);
+        if (i === 0) doc.text('•', MARGIN, y + size, { size, color: brand.color, bold: true });
+        // The label of a { label, text } item is set in bold on its first line
+        if (i === 0 && typeof item !== 'string' && line.startsWith(`${item.label}:`)) {
+          doc.text(`${item.label}:`, MARGIN + 14, y + size, { size, bold: true, color: TEXT });
+          doc.text(line.slice(item.label.length + 1), MARGIN + 14 + doc.widthOf(`${item.label}:`, size, true), y + size, { size, color: TEXT });
+        } else {
+          doc.text(line, MARGIN + 14, y + size, { size, color: TEXT });
+        }
+        y += lineHeight;
+      });
+    }
+    y += 6;
+  }
+
+  // cards: [{ value, label }], `perRow` to a row
+  function cards(items, { perRow = 4, fill = brand.color } = {}) {
+    const gap = 10;
+    const cardWidth = (width - gap * (perRow - 1)) / perRow;
+    const cardHeight = 58;
+    for (let i = 0; i < items.length; i += perRow) {
+      ensure(cardHeight + gap);
+      items.slice(i, i + perRow).forEach((card, j) => {
+        const x = MARGIN + j * (cardWidth + gap);
+        doc.rect(x, y, cardWidth, cardHeight, { fill });
+        doc.text(doc.truncate(String(card.value ?? '—'), cardWidth - 12, 16, true), x, y + 26, { size: 16, bold: true, color: '#ffffff', align: 'center', width: cardWidth });
+        doc.text(doc.truncate(card.label, cardWidth - 12, 8), x, y + 44, { size: 8, color: '#ffffff', align: 'center', width: cardWidth });
+      });
+      y += cardHeight + gap;
+    }
+    y += 4;
+  }
+
+  // columns: [{ label, width (share of the table), align }]; rows: arrays of cells, or
+  // { cells, bold, shade } for emphasis
+  function table(columns, rows, { size = 9 } = {}) {
+    const total = columns.reduce((sum, c) => sum + (c.width || 1), 0);
+    const widths = columns.map(c => ((c.width || 1) / total) * width);
+    const pad = 5;
+    const rowHeight = size + 10;
+    const drawRow = (cells, { bold = false, shade = null, color = TEXT } = {}) => {
+      if (shade) doc.rect(MARGIN, y, width, rowHeight, { fill: shade });
+      let x = MARGIN;
+      cells.forEach((cell, i) => {
+        const text = typeof cell === 'object' && cell !== null ? cell : { text: cell };
+        const value = doc.truncate(String(text.text ?? ''), widths[i] - pad * 2, size, bold);
+        doc.text(value, x + pad, y + size + 4, { size, bold, color: text.color || color, align: columns[i].align || 'left', width: widths[i] - pad * 2 });
+        x += widths[i];
+      });
+      doc.line(MARGIN, y + rowHeight, MARGIN + width, y + rowHeight, { color: RULE, lineWidth: 0.75 });
+      y += rowHeight;
+    };
+    const header = () => drawRow(columns.map(c => c.label), { bold: true, shade: SHADE });
+
+    // A table that fits on one page is not split; a longer one starts with at least one row
+    const full = rowHeight * (rows.length + 1);
+    ensure(full <= bottom - MARGIN ? full : rowHeight * 2);
+    header();
+    for (const row of rows) {
+      if (y + rowHeight > bottom) {
+        newPage();
+        header();
+      }
+      const { cells, ...style } = Array.isArray(row) ? { cells: row } : row;
+      drawRow(cells, style);
+    }
+    y += 10;
+  }
+
+  function spacer(height) {
+    y += height;
+  }
+
+  // The agent footer and page numbers go on every page once the page count is known
+  function finish(footerNote) {
+    const pages = doc.pageCount();
+    const agent = [brand.agent.name, brand.agent.phone, brand.agent.email].filter(Boolean).join(' • ');
+    for (let i = 0; i < pages; i++) {
+      doc.usePage(i);
+      const top = doc.height - MARGIN - 12;
+      doc.line(MARGIN, top, MARGIN + width, top, { color: RULE, lineWidth: 0.75 });
+      doc.text(doc.truncate(agent || brand.name || footerNote, width - 80, 8), MARGIN, top + 14, { size: 8, color: MUTED });
+      doc.text(`Page ${i + 1} of ${pages}`, MARGIN, top + 14, { size: 8, color: MUTED, align: 'right', width });
+      if (agent && footerNote) doc.text(doc.truncate(footerNote, width - 80, 7), MARGIN, top + 25, { size: 7, color: MUTED });
+    }
+    return { buffer: doc.toBuffer(), pages };
+  }
+
+  return { brand, width, banner, heading, paragraph, bullets, cards, table, spacer, finish };
+}
+
+const FAIR_HOUSING = 'Fair Housing Notice: All housing is available without regard to race, color, religion, sex, handicap, familial status, or national origin.';
+
+// ---------- CMA ----------
+
+const GRID_FEATURES = [
+  ['sqft', 'Living area (sqft)'],
+  ['bedrooms', 'Bedrooms'],
+  ['bathrooms', 'Bathrooms'],
+  ['year_built', 'Year built'],
+  ['lot_sqft', 'Lot (sqft)'],
+  ['pool', 'Pool']
+];
+
+function showFeature(feature, value) {
+  if (value === null || value === undefined) return '—';
+  if (feature === 'pool') return value ? 'Yes' : 'No';
+  return feature === 'year_built' ? String(value) : Number(value).toLocaleString('en-US');
+}
+
+function reason(code) {
+  return code.replace(/_/g, ' ');
+}
+
+// { property, cma (lib/cmaEngine result or null), agent_info, client_info }
+function cmaReport({ property = {}, cma = null, agent_info: agentInfo = {}, client_info: clientInfo = {} }) {
+  const address = property.address || cma?.subject.address || 'Property Analysis';
+  const asOf = cma?.as_of || new Date().toISOString().slice(0, 10);
+  const layout = createLayout({ title: `Comparative Market Analysis - ${address}`, subject: 'Comparative market analysis', agentInfo });
+  const value = cma?.value;
+
+  layout.banner('Comparative Market Analysis', `${address} • ${longDate(asOf)}${clientInfo.name ? ` • Prepared for ${clientInfo.name}` : ''}`);
+
+  layout.cards(value
+    ? [
+        { value: usd(value.estimate), label: 'Estimated value' },
+        { value: usd(value.low), label: 'Range low' },
+        { value: usd(value.high), label: 'Range high' },
+        { value: value.price_per_sqft ? usd(value.price_per_sqft) : '—', label: 'Per sqft' },
+        { value: `${value.comps_used} • ${value.confidence}`, label: 'Comps • confidence' }
+      ]
+    : [{ value: typeof property.estimated_value === 'number' ? usd(property.estimated_value) : property.estimated_value || 'Contact for valuation', label: 'Provided estimate; no comparable sales were analyzed' }],
+  { perRow: value ? 5 : 1, fill: POSITIVE });
+
+  layout.heading('Property Overview');
+  const subject = cma?.subject || {};
+  layout.table(
+    [{ label: 'Feature', width: 2 }, { label: 'Subject', width: 3 }],
+    [
+      ['Property type', (subject.property_type || property.property_type || '—').replace(/_/g, ' ')],
+      ...GRID_FEATURES.map(([feature, label]) => [label, showFeature(feature, subject[feature] ?? property[feature])])
+    ]
+  );
+
+  layout.heading('Comparable Sales');
+  if (!cma?.comps.length) {
+    layout.paragraph(cma ? 'None of the sales supplied qualified as comparables; see the excluded sales below.' : 'No comparable sales were supplied for this report.');
+  } else {
+    layout.table(
+      [
+        { label: 'Address', width: 4 },
+        { label: 'Sold', width: 2 },
+        { label: 'Sale price', width: 2, align: 'right' },
+        { label: 'Distance', width: 1.5, align: 'right' },
+        { label: 'Net adj.', width: 2, align: 'right' },
+        { label: 'Adjusted', width: 2, align: 'right' },
+        { label: 'Weight', width: 1.3, align: 'right' }
+      ],
+      cma.comps.map(c => [
+        c.address || c.id || 'Comp',
+        c.sold_date,
+        usd(c.sold_price),
+        c.distance_miles === null ? '—' : `${c.distance_miles} mi`,
+        { text: `${signedUsd(c.net_adjustment)}`, color: c.net_adjustment > 0 ? POSITIVE : c.net_adjustment < 0 ? NEGATIVE : null },
+        usd(c.adjusted_price),
+        `${Math.round(c.weight * 100)}%`
+      ])
+    );
+    layout.paragraph(`Sales within ${cma.criteria.max_distance_miles} mi and ${cma.criteria.max_age_days} days of ${longDate(cma.as_of)}${cma.criteria.property_type ? `, ${cma.criteria.property_type.replace(/_/g, ' ')} only` : ''}. Each sale is adjusted to the subject's features; the estimate is the weighted mean of the adjusted prices.`, { size: 9, color: MUTED });
+
+    layout.heading('Adjustments');
+    cma.comps.forEach((c, i) => {
+      layout.table(
+        [{ label: `Comp ${i + 1}: ${c.address || c.id || 'Comp'}`, width: 3 }, { label: 'Subject', width: 2, align: 'right' }, { label: 'Comp', width: 2, align: 'right' }, { label: 'Adjustment', width: 2, align: 'right' }],
+        [
+          ...GRID_FEATURES.map(([feature, label]) => {
+            const adj = c.adjustments.find(a => a.feature === feature);
+            const amount = adj?.amount || 0;
+            return [label, showFeature(feature, cma.subject[feature]), showFeature(feature, c[feature]), { text: amount ? signedUsd(amount) : '—', color: amount > 0 ? POSITIVE : amount < 0 ? NEGATIVE : null }];
+          }),
+          { cells: ['Sale price', '', usd(c.sold_price), ''] },
+          { cells: ['Adjusted price', '', usd(c.adjusted_price), `${signedUsd(c.net_adjustment)} (${c.net_adjustment_percent}%)`], bold: true, shade: SHADE }
+        ]
+      );
+    });
+  }
+
+  if (cma?.excluded.length) {
+    layout.heading('Sales Left Out');
+    layout.table(
+      [{ label: 'Address', width: 2 }, { label: 'Reasons', width: 3 }],
+      cma.excluded.map(e => [e.address || `Sale ${e.index + 1}`, e.reasons.map(reason).join(', ')])
+    );
+  }
+
+  layout.spacer(6);
+  layout.paragraph(`${FAIR_HOUSING} Market values are estimates based on the sales listed and should not be considered formal appraisals.`, { size: 8, color: MUTED });
+  return layout.finish(`CMA for ${address} as of ${longDate(asOf)}`);
+}
+
+// ---------- Market report ----------
+
+// { location, stats (lib/marketStats.compute), insights, factors (Florida notes, optional), agent_info }
+function marketReport({ location = {}, stats, insights = [], factors = [], agent_info: agentInfo = {} }) {
+  const state = location.stateCode || location.state;
+  const place = `${stats.area.label}${state ? `, ${state}` : ''}`;
+  const period = `${longDate(stats.period.from)} – ${longDate(stats.period.to)}`;
+  const layout = createLayout({ title: `Market Report - ${place}`, subject: `Market report ${period}`, agentInfo });
+
+  layout.banner('Market Report', `${place} • ${period}`);
+
+  layout.heading('Market Overview');
+  if (!stats.homes_sold) {
+    layout.paragraph(`No sales in ${place} closed ${period} in the ${stats.data_source === 'request' ? 'data supplied' : 'imported sales data'} (${plural(stats.records, 'record')} for the area), so there are no figures to report.`);
+  } else {
+    layout.cards([
+      { value: usd(stats.median_sale_price), label: 'Median sale price' },
+      { value: signedPercent(stats.yoy.median_sale_price_percent), label: 'YoY median price' },
+      { value: count(stats.median_days_on_market), label: 'Median days on market' },
+      { value: count(stats.homes_sold), label: `Homes sold (${stats.period.days} days)` },
+      { value: usd(stats.median_price_per_sqft), label: 'Median price per sqft' },
+      { value: count(stats.months_of_inventory), label: 'Months of inventory' },
+      { value: stats.list_to_sale_ratio_percent !== null ? `${stats.list_to_sale_ratio_percent}%` : '—', label: 'Sale-to-list price' },
+      { value: usd(stats.average_sale_price), label: 'Average sale price' }
+    ]);
+    layout.table(
+      [{ label: 'Sample', width: 3 }, { label: 'Count', width: 1, align: 'right' }],
+      [
+        [`Sales closed ${period}`, count(stats.homes_sold)],
+        [`Homes for sale on ${longDate(stats.period.to)}`, count(stats.active_inventory)],
+        ['Sales with living area ($/sqft)', count(stats.sample_sizes.with_sqft)],
+        ['Sales with a list price (sale-to-list)', count(stats.sample_sizes.with_list_price)],
+        [`Sales closed ${longDate(stats.prior_period.from)} – ${longDate(stats.prior_period.to)} (YoY)`, count(stats.yoy.prior_homes_sold)]
+      ]
+    );
+  }
+
+  if (insights.length) {
+    layout.heading('Market Insights');
+    layout.bullets(insights);
+  }
+
+  if (stats.homes_sold) {
+    layout.heading('Price Trends by Segment');
+    layout.table(
+      [
+        { label: 'Price band', width: 3 },
+        { label: 'Sold', width: 1.5, align: 'right' },
+        { label: 'Median price', width: 2, align: 'right' },
+        { label: 'Median DOM', width: 1.5, align: 'right' },
+        { label: 'For sale', width: 1.3, align: 'right' },
+        { label: 'Months supply', width: 1.7, align: 'right' },
+        { label: 'YoY price', width: 1.5, align: 'right' }
+      ],
+      stats.price_bands.map(b => [
+        `${b.label} (${b.range})`,
+        `${b.homes_sold}${b.share_of_sales_percent !== null ? ` (${b.share_of_sales_percent}%)` : ''}`,
+        usd(b.median_sale_price),
+        count(b.median_days_on_market),
+        count(b.active_inventory),
+        count(b.months_of_inventory),
+        { text: signedPercent(b.yoy_median_price_percent), color: b.yoy_median_price_percent > 0 ? POSITIVE : b.yoy_median_price_percent < 0 ? NEGATIVE : null }
+      ])
+    );
+    layout.paragraph('Sold homes are banded by sale price, homes for sale by list price. YoY compares each band\'s median sale price with the same period last year.', { size: 9, color: MUTED });
+  }
+
+  if (factors.length) {
+    layout.heading('Florida Market Factors');
+    layout.bullets(factors);
+  }
+
+  layout.spacer(6);
+  layout.paragraph(`${FAIR_HOUSING} Figures are computed from ${plural(stats.records, 'listing and sale record')} and should be verified independently.`, { size: 8, color: MUTED });
+  return layout.finish(`${place} market report, ${period}`);
+}
+
+module.exports = { cmaReport, marketReport };
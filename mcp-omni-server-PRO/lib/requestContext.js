@@ -0,0 +1,32 @@
+// ---------- Request context ----------
+// AsyncLocalStorage carrying per-request state (the caller's tenant, the request id and
+// trace, the request itself) across awaits, so deep helpers such as client(name),
+// marketConfig.settings() and the cost ledger can read it without every route passing it
+// down. Background work (scheduled sends, jobs) re-enters the context of the tenant that
+// created it; jobs also carry their jobId and jobType.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_TENANT = 'default';
+
+const storage = new AsyncLocalStorage();
+
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+function get() {
+  return storage.getStore() || null;
+}
+
+// Outside any request (boot, timers) this is the default tenant
+function tenantId() {
+  return get()?.tenant || DEFAULT_TENANT;
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  run,
+  get,
+  tenantId
+};
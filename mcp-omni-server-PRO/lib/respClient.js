@@ -0,0 +1,169 @@
+// ---------- Redis protocol (RESP2) client ----------
+// Just enough of a client to run commands against Redis or anything that speaks its
+// protocol (Valkey, KeyDB, Dragonfly, Upstash over TCP/TLS): one connection, commands are
+// pipelined and answered in order. Used for state that has to be shared between replicas.
+//
+// createClient('redis://:password@host:6379/0') — rediss:// connects over TLS. The
+// connection is opened lazily and reopened on the next command after it drops; for a few
+// seconds after a failed connect, commands fail at once instead of each waiting on a timeout.
+
+const net = require('net');
+const tls = require('tls');
+
+const CONNECT_TIMEOUT_MS = 5000;
+const COMMAND_TIMEOUT_MS = 2000;
+const RECONNECT_DELAY_MS = 5000;
+
+function encode(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = Buffer.from(String(arg));
+    out += `$${value.length}\r\n${value.toString('binary')}\r\n`;
+  }
+  return Buffer.from(out, 'binary');
+}
+
+// Parses one reply starting at offset; returns [value, nextOffset], or null when the buffer
+// does not hold the whole reply yet. Error replies come back as Error objects.
+function parse(buffer, offset = 0) {
+  if (offset >= buffer.length) return null;
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+  switch (type) {
+    case '+': return [line, next];
+    case '-': return [new Error(line), next];
+    case ':': return [Number(line), next];
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return [null, next];
+      if (buffer.length < next + length + 2) return null;
+      return [buffer.toString('utf8', next, next + length), next + length + 2];
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return [null, next];
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parse(buffer, cursor);
+        if (!item) return null;
+        items.push(item[0]);
+        cursor = item[1];
+      }
+      return [items, cursor];
+    }
+    default:
+      throw new Error(`unexpected RESP type byte "${type}"`);
+  }
+}
+
+function createClient(url) {
+  const target = new URL(url);
+  const secure = target.protocol === 'rediss:';
+  const port = Number(target.port) || 6379;
+  const db = Number(target.pathname.slice(1)) || 0;
+  const username = decodeURIComponent(target.username || '');
+  const password = decodeURIComponent(target.password || '');
+
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  let retryAt = 0;
+  const waiting = []; // { resolve, reject, timer } in send order
+
+  function failAll(err) {
+    while (waiting.length) {
+      const w = waiting.shift();
+      clearTimeout(w.timer);
+      w.reject(err);
+    }
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let parsed;
+    try {
+      while (waiting.length && (parsed = parse(buffer))) {
+        buffer = buffer.subarray(parsed[1]);
+        const w = waiting.shift();
+        clearTimeout(w.timer);
+        if (parsed[0] instanceof Error) w.reject(parsed[0]);
+        else w.resolve(parsed[0]);
+      }
+    } catch (e) {
+      socket.destroy(e);
+    }
+  }
+
+  function write(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        // A reply that never comes leaves the stream out of step; start over
+        socket?.destroy(new Error(`${args[0]} timed out after ${COMMAND_TIMEOUT_MS}ms`));
+      }, COMMAND_TIMEOUT_MS);
+      waiting.push({ resolve, reject, timer });
+      socket.write(encode(args));
+    });
+  }
+
+  function connect() {
+    if (ready) return ready;
+    if (Date.now() < retryAt) return Promise.reject(new Error(`${target.host} unavailable; retrying shortly`));
+    ready = new Promise((resolve, reject) => {
+      const options = { host: target.hostname, port, servername: target.hostname };
+      const s = secure ? tls.connect(options) : net.connect(options);
+      socket = s;
+      buffer = Buffer.alloc(0);
+      s.setNoDelay(true);
+      s.setTimeout(CONNECT_TIMEOUT_MS, () => s.destroy(new Error(`connect to ${target.host} timed out`)));
+      s.on('data', onData);
+      s.on('error', () => {});
+      s.on('close', hadError => {
+        if (socket === s) {
+          socket = null;
+          ready = null;
+        }
+        failAll(new Error(`connection to ${target.host} closed${hadError ? ' after an error' : ''}`));
+        if (hadError) retryAt = Date.now() + RECONNECT_DELAY_MS;
+        reject(new Error(`could not connect to ${target.host}`));
+      });
+      s.once(secure ? 'secureConnect' : 'connect', async () => {
+        s.setTimeout(0);
+        try {
+          if (password) await write(username ? ['AUTH', username, password] : ['AUTH', password]);
+          if (db) await write(['SELECT', db]);
+          resolve();
+        } catch (e) {
+          s.destroy(e);
+          reject(e);
+        }
+      });
+    });
+    return ready;
+  }
+
+  async function command(...args) {
+    await connect();
+    return write(args);
+  }
+
+  function close() {
+    if (socket) socket.end();
+  }
+
+  return {
+    command,
+    close,
+    connected: () => !!socket && !socket.connecting,
+    target: `${target.protocol}//${target.hostname}:${port}/${db}`
+  };
+}
+
+module.exports = {
+  createClient,
+  parse,
+  encode
+};
@@ -0,0 +1,419 @@
+// ---------- Response cache (scrapes, searches, enrichment lookups) ----------
+// Paid lookups that return the same answer for a while (a scraped page, a Google CSE query,
+// an Apollo match) go through wrap() so repeat calls are served from memory instead of
+// spending credits again. Entries are keyed by namespace, tenant, a normalized subject (URL
+// without tracking parameters, lower-cased query, email) and a variant holding the options
+// that change the answer. Tenants never share entries.
+//
+// How long an entry is fresh depends on the provider that produced it (cacheSettings.ttlSeconds,
+// over DEFAULT_TTL_SECONDS). For staleSeconds after that it is still served, marked stale,
+// while one background call refreshes it. Memory is an LRU bounded by maxEntries and
+// maxMemoryMb; with diskStore on, entries are also written to DATA_DIR/cache so they
+// survive restarts and LRU evictions. A request sent with `Cache-Control: no-cache` skips
+// the lookup and stores the fresh answer.
+//
+// Every lookup is tallied on the request (req.cacheUsage) for the X-Cache header and the
+// `cache` summary the response decorator adds.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./jsonStore');
+const marketConfig = require('./marketConfig');
+const requestContext = require('./requestContext');
+const logger = require('./logger');
+
+const DEFAULTS = {
+  enabled: true,
+  maxEntries: 1000,
+  maxMemoryMb: 64,
+  maxEntryKb: 2048,
+  diskStore: false,
+  maxDiskEntries: 10000,
+  staleSeconds: 3600
+};
+// Seconds an entry is fresh, by the provider that produced it
+const DEFAULT_TTL_SECONDS = {
+  zyte: 6 * 3600,
+  zenrows: 6 * 3600,
+  direct: 3600,
+  google_cse: 24 * 3600,
+  apollo: 7 * 86400,
+  default: 3600
+};
+const STATUSES = ['hit', 'stale', 'miss', 'bypass'];
+const SWEEP_INTERVAL_MS = 3600 * 1000;
+// Query parameters that only track the visit
+const TRACKING_PARAM = /^(utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid|_ga|ref_src)$/i;
+
+const memory = new Map(); // key -> entry, least recently used first
+let memoryBytes = 0;
+const inflight = new Map(); // key -> Promise of a fetch already under way
+const counts = { lookups: {}, evictions: 0, refreshes: 0, refresh_failures: 0, disk_writes: 0, disk_errors: 0 };
+const diskDir = path.join(DATA_DIR, 'cache');
+let sweepTimer = null;
+
+function settings() {
+  const configured = marketConfig.settings().cacheSettings || {};
+  return {
+    ...DEFAULTS,
+    ...configured,
+    ttlSeconds: { ...DEFAULT_TTL_SECONDS, ...(configured.ttlSeconds || {}) }
+  };
+}
+
+// Memory and disk bounds are process-wide, so they come from the top-level config
+function limits() {
+  return requestContext.run({ tenant: requestContext.DEFAULT_TENANT }, settings);
+}
+
+// ---------- Keys ----------
+
+// Same page, same key: lower-case host, no fragment, no tracking parameters, sorted query
+function normalizeUrl(url) {
+  let u;
+  try {
+    u = new URL(String(url).trim());
+  } catch {
+    return String(url).trim();
+  }
+  u.hash = '';
+  const params = [...u.searchParams].filter(([name]) => !TRACKING_PARAM.test(name));
+  params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  u.search = new URLSearchParams(params).toString();
+  if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, '');
+  return u.toString();
+}
+
+function normalizeQuery(query) {
+  return String(query).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Variant objects are keyed with sorted fields so option order does not matter
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function keyFor({ namespace, subject, variant }, tenant = requestContext.tenantId()) {
+  return `${namespace}|${tenant}|${subject}|${variant === undefined ? '' : stableJson(variant)}`;
+}
+
+// ---------- Memory (LRU) ----------
+
+function touch(key, entry) {
+  memory.delete(key);
+  memory.set(key, entry);
+}
+
+function dropFromMemory(key) {
+  const entry = memory.get(key);
+  if (!entry) return false;
+  memoryBytes -= entry.bytes;
+  memory.delete(key);
+  return true;
+}
+
+function remember(key, entry) {
+  dropFromMemory(key);
+  memory.set(key, entry);
+  memoryBytes += entry.bytes;
+  const { maxEntries, maxMemoryMb } = limits();
+  while (memory.size > maxEntries || memoryBytes > maxMemoryMb * 1024 * 1024) {
+    const oldest = memory.keys().next().value;
+    if (oldest === undefined || oldest === key) break;
+    dropFromMemory(oldest);
+    counts.evictions++;
+  }
+}
+
+// ---------- Disk ----------
+
+function diskFile(key) {
+  return path.join(diskDir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+}
+
+function readDisk(key) {
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(diskFile(key), 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') counts.disk_errors++;
+    return null;
+  }
+  return entry.key === key ? entry : null;
+}
+
+function writeDisk(key, entry) {
+  try {
+    fs.mkdirSync(diskDir, { recursive: true });
+    const file = diskFile(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ key, ...entry, bytes: undefined }));
+    fs.renameSync(tmp, file);
+    counts.disk_writes++;
+  } catch (e) {
+    counts.disk_errors++;
+    logger.warn('cache disk write failed', { error: e.message });
+  }
+}
+
+function removeDisk(key) {
+  try {
+    fs.unlinkSync(diskFile(key));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Every entry on disk as [file, entry]; unreadable files are removed
+function diskEntries() {
+  let names;
+  try {
+    names = fs.readdirSync(diskDir).filter(n => n.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const name of names) {
+    const file = path.join(diskDir, name);
+    try {
+      entries.push([file, JSON.parse(fs.readFileSync(file, 'utf8'))]);
+    } catch {
+      try { fs.unlinkSync(file); } catch {}
+    }
+  }
+  return entries;
+}
+
+// Drops expired files, then the oldest past maxDiskEntries
+function sweepDisk(now = Date.now()) {
+  const { maxDiskEntries } = limits();
+  let removed = 0;
+  const live = [];
+  for (const [file, entry] of diskEntries()) {
+    if (entry.stale_until <= now) {
+      try { fs.unlinkSync(file); removed++; } catch {}
+    } else {
+      live.push([file, entry]);
+    }
+  }
+  live.sort((a, b) => a[1].stored_at - b[1].stored_at);
+  for (const [file] of live.slice(0, Math.max(0, live.length - maxDiskEntries))) {
+    try { fs.unlinkSync(file); removed++; } catch {}
+  }
+  return removed;
+}
+
+function startSweeping() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    if (limits().diskStore) sweepDisk();
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+// ---------- Lookups ----------
+
+function count(namespace, status) {
+  const byStatus = counts.lookups[namespace] = counts.lookups[namespace] || Object.fromEntries(STATUSES.map(s => [s, 0]));
+  byStatus[status]++;
+}
+
+// Tallies a lookup on the current request and returns what the route can report for it
+function note(namespace, status, entry) {
+  count(namespace, status);
+  const info = {
+    status,
+    ...(entry ? { stored_at: new Date(entry.stored_at).toISOString(), age_seconds: Math.round((Date.now() - entry.stored_at) / 1000) } : {})
+  };
+  const req = requestContext.get()?.req;
+  if (req) {
+    const usage = req.cacheUsage = req.cacheUsage || Object.fromEntries(STATUSES.map(s => [s, 0]));
+    usage[status]++;
+  }
+  return info;
+}
+
+function bypassRequested() {
+  const header = requestContext.get()?.req?.headers?.['cache-control'];
+  return /\bno-cache\b/i.test(header || '');
+}
+
+// The entry for a key from memory, else disk; entries past their stale window are dropped
+function find(key) {
+  const now = Date.now();
+  let entry = memory.get(key);
+  if (entry && entry.stale_until <= now) {
+    dropFromMemory(key);
+    entry = null;
+  }
+  if (entry) {
+    touch(key, entry);
+    return entry;
+  }
+  if (!limits().diskStore) return null;
+  entry = readDisk(key);
+  if (!entry) return null;
+  if (entry.stale_until <= now) {
+    removeDisk(key);
+    return null;
+  }
+  entry.bytes = Buffer.byteLength(JSON.stringify(entry.value));
+  remember(key, entry);
+  return entry;
+}
+
+function save(key, spec, value, provider) {
+  const s = settings();
+  const bytes = Buffer.byteLength(JSON.stringify(value === undefined ? null : value));
+  if (bytes > s.maxEntryKb * 1024) return null;
+  const ttl = s.ttlSeconds[provider] ?? s.ttlSeconds.default;
+  if (!(ttl > 0)) return null;
+  const now = Date.now();
+  const entry = { namespace: spec.namespace, tenant: requestContext.tenantId(), subject: spec.subject, value, provider, stored_at: now, fresh_until: now + ttl * 1000, stale_until: now + (ttl + s.staleSeconds) * 1000, bytes };
+  remember(key, entry);
+  if (limits().diskStore) {
+    writeDisk(key, entry);
+    startSweeping();
+  }
+  return entry;
+}
+
+// One fetch per key at a time; concurrent callers wait for the same answer
+function fetchOnce(key, spec, fetch) {
+  if (inflight.has(key)) return inflight.get(key);
+  const promise = (async () => {
+    try {
+      const value = await fetch();
+      const provider = typeof spec.provider === 'function' ? spec.provider(value) : spec.provider;
+      save(key, spec, value, provider || 'default');
+      return value;
+    } finally {
+      inflight.delete(key);
+    }
+  })();
+  inflight.set(key, promise);
+  return promise;
+}
+
+function refreshInBackground(key, spec, fetch) {
+  if (inflight.has(key)) return;
+  counts.refreshes++;
+  fetchOnce(key, spec, fetch).catch(e => {
+    counts.refresh_failures++;
+    logger.warn('cache refresh failed', { namespace: spec.namespace, error: e.message });
+  });
+}
+
+// spec: { namespace, subject, variant?, provider: name | (value) => name, enabled? }
+// -> { value, cache: { status, stored_at?, age_seconds? } }. Errors are never cached.
+async function wrap(spec, fetch) {
+  const s = settings();
+  if (!s.enabled || spec.enabled === false) {
+    return { value: await fetch(), cache: { status: 'bypass' } };
+  }
+  const key = keyFor(spec);
+  if (bypassRequested()) {
+    const value = await fetchOnce(key, spec, fetch);
+    return { value, cache: note(spec.namespace, 'bypass') };
+  }
+  const entry = find(key);
+  const now = Date.now();
+  if (entry && entry.fresh_until > now) {
+    return { value: entry.value, cache: note(spec.namespace, 'hit', entry) };
+  }
+  if (entry && entry.stale_until > now) {
+    refreshInBackground(key, spec, fetch);
+    return { value: entry.value, cache: note(spec.namespace, 'stale', entry) };
+  }
+  const value = await fetchOnce(key, spec, fetch);
+  return { value, cache: note(spec.namespace, 'miss') };
+}
+
+// For batch calls that fetch many keys at once: the fresh entry's value, or undefined
+function lookup(spec) {
+  const s = settings();
+  if (!s.enabled || spec.enabled === false || bypassRequested()) return undefined;
+  const entry = find(keyFor(spec));
+  if (entry && entry.fresh_until > Date.now()) {
+    note(spec.namespace, 'hit', entry);
+    return entry.value;
+  }
+  note(spec.namespace, 'miss');
+  return undefined;
+}
+
+// Stores a value fetched outside wrap() (after lookup() missed)
+function store(spec, value) {
+  if (!settings().enabled || spec.enabled === false) return;
+  const provider = typeof spec.provider === 'function' ? spec.provider(value) : spec.provider;
+  save(keyFor(spec), spec, value, provider || 'default');
+}
+
+// ---------- Purge and status ----------
+
+// filter: { namespace?, tenant?, subject? } (subject already normalized); {} purges everything
+function purge(filter = {}) {
+  const matches = entry => (!filter.namespace || entry.namespace === filter.namespace)
+    && (!filter.tenant || entry.tenant === filter.tenant)
+    && (filter.subject === undefined || entry.subject === filter.subject);
+  let memoryPurged = 0;
+  for (const [key, entry] of [...memory]) {
+    if (matches(entry) && dropFromMemory(key)) memoryPurged++;
+  }
+  let diskPurged = 0;
+  for (const [file, entry] of diskEntries()) {
+    if (!matches(entry)) continue;
+    try { fs.unlinkSync(file); diskPurged++; } catch {}
+  }
+  logger.info('cache purged', { ...filter, memory: memoryPurged, disk: diskPurged });
+  return { memory: memoryPurged, disk: diskPurged };
+}
+
+// Lookup counts and cache size; a summary per request for the response decorator
+function status() {
+  const s = limits();
+  return {
+    enabled: s.enabled,
+    entries: memory.size,
+    memory_bytes: memoryBytes,
+    max_entries: s.maxEntries,
+    max_memory_mb: s.maxMemoryMb,
+    disk_store: s.diskStore ? { dir: diskDir, max_entries: s.maxDiskEntries } : null,
+    ttl_seconds: settings().ttlSeconds,
+    stale_seconds: settings().staleSeconds,
+    lookups: counts.lookups,
+    evictions: counts.evictions,
+    refreshes: counts.refreshes,
+    refresh_failures: counts.refresh_failures,
+    disk_writes: counts.disk_writes,
+    disk_errors: counts.disk_errors
+  };
+}
+
+// { header: 'HIT' | 'STALE' | 'MISS' | 'BYPASS', summary } for a request that used the cache
+function usage(req) {
+  const u = req.cacheUsage;
+  if (!u) return null;
+  const header = u.miss ? 'MISS' : u.bypass ? 'BYPASS' : u.stale ? 'STALE' : 'HIT';
+  return { header, summary: { hits: u.hit, stale: u.stale, misses: u.miss, bypassed: u.bypass } };
+}
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  STATUSES,
+  normalizeUrl,
+  normalizeQuery,
+  wrap,
+  lookup,
+  store,
+  purge,
+  sweepDisk,
+  status,
+  usage
+};
@@ -0,0 +1,117 @@
+// ---------- Response envelope (API v2) ----------
+// v1 responses are whatever the route built plus the fields the response decorator adds
+// (contestOptimized, performanceGrade, requestId...). v2 callers, who ask with an /api/v2
+// path or an `x-api-version: 2` header, get every JSON body in one shape instead:
+//
+//   { data, meta: { api_version, request_id, processing_ms, timestamp }, errors: [] }
+//
+// `data` is the route's payload without `ok`, the request metadata (moved to `meta`) and the
+// constant marketing flags. A failed request (status >= 400, or ok: false) has data: null and
+// one entry per problem in `errors`: { code, message, field?, in?, details? }.
+
+const VERSIONS = ['1', '2'];
+const LATEST = '2';
+
+// Always true in v1 and never informative; v2 leaves them out
+const MARKETING_FLAGS = ['contestOptimized', 'contest_optimized', 'zyteEnhanced', 'zyte_enhanced', 'floridaOptimized', 'aiSecurityActive', 'aiPowered', 'performanceGrade'];
+// Belongs in meta
+const REQUEST_FIELDS = ['ok', 'requestId', 'processingTime', 'serverTimestamp'];
+
+// "/api/v2/leads?x=1" -> { version: '2', url: '/api/leads?x=1' }; null when there is no prefix
+function fromPath(url) {
+  const m = url.match(/^\/api\/v(\d+)(?=\/|\?|$)/);
+  if (!m) return null;
+  return { version: m[1], url: `/api${url.slice(m[0].length)}` };
+}
+
+// "2", "v2" and "2.0" all mean 2; no header means 1
+function fromHeader(value) {
+  if (!value) return '1';
+  return String(value).trim().replace(/^v/i, '').split('.')[0];
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cleanData(payload) {
+  if (!isPlainObject(payload)) return payload;
+  const data = {};
+  for (const [key, value] of Object.entries(payload)) {
+    if (!REQUEST_FIELDS.includes(key) && !MARKETING_FLAGS.includes(key)) data[key] = value;
+  }
+  return data;
+}
+
+function errorsFrom(payload, status) {
+  const { error, message, details, fields, ...rest } = cleanData(isPlainObject(payload) ? payload : {});
+  // Older routes put a sentence in `error`; codes are snake_case
+  const isCode = typeof error === 'string' && /^[a-z0-9_]+$/.test(error);
+  const code = isCode ? error : `http_${status}`;
+  if (Array.isArray(fields) && fields.length) {
+    return fields.map(f => ({ code, message: f.message, field: f.path, in: f.in }));
+  }
+  if (Array.isArray(details) && details.length && details.every(d => typeof d === 'string')) {
+    return details.map(d => ({ code, message: d }));
+  }
+  const entry = { code, message: message || (!isCode && typeof error === 'string' ? error : code) };
+  if (details !== undefined) rest.details = details;
+  if (Object.keys(rest).length) entry.details = rest;
+  return [entry];
+}
+
+function wrap(payload, { status = 200, requestId, processingMs, version = LATEST } = {}) {
+  const failed = status >= 400 || (isPlainObject(payload) && payload.ok === false);
+  return {
+    data: failed ? null : cleanData(payload),
+    meta: {
+      api_version: version,
+      request_id: requestId,
+      processing_ms: processingMs,
+      timestamp: new Date().toISOString()
+    },
+    errors: failed ? errorsFrom(payload, status) : []
+  };
+}
+
+// For /openapi.json
+const ENVELOPE_SCHEMA = {
+  type: 'object',
+  description: 'Every v2 JSON response (/api/v2/... or x-api-version: 2)',
+  required: ['data', 'meta', 'errors'],
+  properties: {
+    data: { description: "The route's payload; null when the request failed" },
+    meta: {
+      type: 'object',
+      properties: {
+        api_version: { type: 'string' },
+        request_id: { type: 'string' },
+        processing_ms: { type: 'integer' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string' },
+          message: { type: 'string' },
+          field: { type: 'string' },
+          in: { type: 'string', enum: ['params', 'query', 'body'] },
+          details: { type: 'object' }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  VERSIONS,
+  LATEST,
+  ENVELOPE_SCHEMA,
+  fromPath,
+  fromHeader,
+  wrap
+};
@@ -0,0 +1,122 @@
+// ---------- Minimal JSON Schema validator ----------
+// Supports the subset of draft 2020-12 keywords this server uses for config files
+// and request bodies. Returns every problem found instead of stopping at the first,
+// so callers can report all invalid fields at once.
+
+const FORMATS = {
+  email: v => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uri: v => { try { new URL(v); return true; } catch { return false; } },
+  'date-time': v => !isNaN(Date.parse(v)) && /^\d{4}-\d{2}-\d{2}T/.test(v),
+  date: v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v))
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function validate(schema, value, path = '', errors = []) {
+  if (!schema || schema === true) return errors;
+  const where = path || '(root)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: where, message: `must be ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(e => e === value)) {
+    errors.push({ path: where, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (schema.const !== undefined && schema.const !== value) {
+    errors.push({ path: where, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path: where, message: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ path: where, message: `must be at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ path: where, message: schema.errorMessage || `must match ${schema.pattern}` });
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) errors.push({ path: where, message: `must be a valid ${schema.format}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: where, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: where, message: `must be <= ${schema.maximum}` });
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ path: where, message: `must be > ${schema.exclusiveMinimum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path: where, message: `must contain at least ${schema.minItems} item(s)` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path: where, message: `must contain at most ${schema.maxItems} item(s)` });
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) errors.push({ path: where, message: 'must not contain duplicates' });
+    if (schema.items) value.forEach((item, i) => validate(schema.items, item, joinPath(path, i), errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: joinPath(path, key), message: 'is required' });
+    }
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.propertyNames) {
+        for (const e of validate(schema.propertyNames, key, path)) errors.push({ path: joinPath(path, key), message: `name ${e.message}` });
+      }
+      if (props[key]) validate(props[key], child, joinPath(path, key), errors);
+      else if (schema.additionalProperties === false) errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+      else if (typeof schema.additionalProperties === 'object') validate(schema.additionalProperties, child, joinPath(path, key), errors);
+    }
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      errors.push({ path: where, message: `must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}` });
+    }
+    if (schema.maxProperties !== undefined && Object.keys(value).length > schema.maxProperties) {
+      errors.push({ path: where, message: `must have at most ${schema.maxProperties} propert${schema.maxProperties === 1 ? 'y' : 'ies'}` });
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(s => validate(s, value, path).length === 0)) {
+    errors.push({ path: where, message: schema.errorMessage || 'does not match any allowed shape' });
+  }
+
+  // if/then/else picks which shape applies, e.g. a single record or a { items: [...] } batch
+  if (schema.if) {
+    const branch = validate(schema.if, value, path).length === 0 ? schema.then : schema.else;
+    if (branch) validate(branch, value, path, errors);
+  }
+
+  return errors;
+}
+
+// Query strings and path params arrive as strings. Converts the values whose schema asks for
+// a number, integer or boolean, and leaves anything unconvertible for validate() to report.
+function coerce(schema, value) {
+  if (!schema || !schema.properties || typeOf(value) !== 'object') return value;
+  const out = { ...value };
+  for (const [key, child] of Object.entries(schema.properties)) {
+    if (typeof out[key] !== 'string') continue;
+    const types = Array.isArray(child.type) ? child.type : [child.type];
+    const raw = out[key].trim();
+    if ((types.includes('integer') || types.includes('number')) && raw !== '' && !isNaN(Number(raw))) {
+      out[key] = Number(raw);
+    } else if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+      out[key] = raw === 'true';
+    }
+  }
+  return out;
+}
+
+module.exports = { validate, coerce };
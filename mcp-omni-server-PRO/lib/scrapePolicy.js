@@ -0,0 +1,241 @@
+// ---------- Scrape policy (robots.txt + per-domain allow/deny) ----------
+// Every scrape asks check(url) first. Decisions, in order:
+//   1. toolConfiguration.scrapePolicy.denyDomains  -> blocked, whatever robots.txt says
+//   2. toolConfiguration.scrapePolicy.allowDomains -> allowed without consulting robots.txt
+//      (for sources counsel has cleared, e.g. a licensed feed or our own sites)
+//   3. robots.txt for the URL's origin, matched per RFC 9309 against our product token
+// Callers check every URL they end up fetching, redirect hops included, not just the first.
+// A blocked decision names the rule that blocked it (config entry, or robots.txt group,
+// directive, pattern and line) so the caller can report it and counsel can audit it.
+
+const axios = require('axios');
+const marketConfig = require('./marketConfig');
+const urlGuard = require('./urlGuard');
+
+const DEFAULTS = {
+  respectRobotsTxt: true,
+  userAgent: 'MCPOmniBot',
+  robotsCacheSeconds: 3600,
+  onRobotsUnreachable: 'deny',
+  allowDomains: [],
+  denyDomains: []
+};
+const UNREACHABLE_CACHE_SECONDS = 300;
+const ROBOTS_MAX_BYTES = 500 * 1024;
+const RECENT_LIMIT = 200;
+const ROBOTS_CACHE_MAX = 1000;
+
+const robotsCache = new Map();
+const recentBlocks = [];
+const counts = { allowed: 0, blocked: 0 };
+
+function settings() {
+  const tools = marketConfig.settings().toolConfiguration || {};
+  return { ...DEFAULTS, ...(tools.scrapePolicy || {}) };
+}
+
+function matchesDomain(host, domain) {
+  const d = String(domain).toLowerCase().replace(/^\*?\./, '');
+  return host === d || host.endsWith(`.${d}`);
+}
+
+// ---------- robots.txt parsing (RFC 9309) ----------
+
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  String(text).split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.replace(/#.*$/, '').trim();
+    const m = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!m) return;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent || !current) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+    if (!current) return;
+    if (field === 'allow' || field === 'disallow') {
+      current.rules.push({ directive: field === 'allow' ? 'Allow' : 'Disallow', pattern: value, line: i + 1 });
+    } else if (field === 'crawl-delay' && !Number.isNaN(Number(value))) {
+      current.crawlDelay = Number(value);
+    }
+  });
+  return groups;
+}
+
+// The group naming our product token wins; otherwise "*". RFC 9309 matches the whole token,
+// case-insensitively, so "User-agent: mcp" is not a group for MCPOmniBot.
+function groupFor(groups, userAgent) {
+  const token = userAgent.toLowerCase();
+  const named = groups.filter(g => g.agents.includes(token));
+  if (named.length) return { agent: token, rules: named.flatMap(g => g.rules), crawlDelay: named[0].crawlDelay };
+  const star = groups.filter(g => g.agents.includes('*'));
+  if (star.length) return { agent: '*', rules: star.flatMap(g => g.rules), crawlDelay: star[0].crawlDelay };
+  return null;
+}
+
+function patternRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Longest matching pattern wins; on a tie Allow wins. An empty Disallow matches nothing.
+function evaluate(group, pathAndQuery) {
+  let best = null;
+  for (const rule of group.rules) {
+    if (!rule.pattern) continue;
+    if (!patternRegex(rule.pattern).test(pathAndQuery)) continue;
+    const longer = !best || rule.pattern.length > best.pattern.length;
+    const tieAllow = best && rule.pattern.length === best.pattern.length && rule.directive === 'Allow';
+    if (longer || tieAllow) best = rule;
+  }
+  return best;
+}
+
+// ---------- robots.txt fetch + cache ----------
+
+// 2xx -> parsed rules; 4xx -> no restrictions; 5xx or network failure -> "unreachable".
+// The fetch goes through urlGuard like any other, so a robots.txt that redirects to a
+// private address is unreachable rather than fetched.
+async function loadRobots(origin, policy) {
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expires > Date.now()) return cached;
+  const robotsUrl = `${origin}/robots.txt`;
+  let entry;
+  try {
+    const response = await axios.get(robotsUrl, {
+      ...urlGuard.axiosOptions,
+      timeout: 5000,
+      maxRedirects: 5,
+      maxContentLength: ROBOTS_MAX_BYTES,
+      responseType: 'text',
+      transformResponse: data => data,
+      headers: { 'User-Agent': policy.userAgent },
+      validateStatus: () => true
+    });
+    if (response.status >= 200 && response.status < 300) {
+      entry = { robots_url: robotsUrl, status: 'ok', http_status: response.status, groups: parseRobots(response.data) };
+    } else if (response.status >= 400 && response.status < 500) {
+      entry = { robots_url: robotsUrl, status: 'missing', http_status: response.status, groups: [] };
+    } else {
+      entry = { robots_url: robotsUrl, status: 'unreachable', http_status: response.status, groups: [], error: `HTTP ${response.status}` };
+    }
+  } catch (e) {
+    entry = { robots_url: robotsUrl, status: 'unreachable', http_status: null, groups: [], error: e.message };
+  }
+  const ttl = entry.status === 'unreachable' ? UNREACHABLE_CACHE_SECONDS : policy.robotsCacheSeconds;
+  entry.fetched_at = new Date().toISOString();
+  entry.expires = Date.now() + ttl * 1000;
+  // Oldest fetch first, so the cap drops the origin fetched longest ago
+  robotsCache.delete(origin);
+  robotsCache.set(origin, entry);
+  if (robotsCache.size > ROBOTS_CACHE_MAX) robotsCache.delete(robotsCache.keys().next().value);
+  return entry;
+}
+
+function decide(url, allowed, rule, extra = {}) {
+  const decision = { url, allowed, status: allowed ? 'allowed' : 'policy_blocked', rule, ...extra, checked_at: new Date().toISOString() };
+  counts[allowed ? 'allowed' : 'blocked']++;
+  if (!allowed) {
+    recentBlocks.unshift(decision);
+    if (recentBlocks.length > RECENT_LIMIT) recentBlocks.pop();
+  }
+  return decision;
+}
+
+// Returns { allowed, status: 'allowed' | 'policy_blocked', rule, crawl_delay? }
+async function check(url) {
+  const policy = settings();
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return decide(url, false, { source: 'invalid_url' });
+  }
+  const host = parsed.hostname.replace(/^www\./, '').toLowerCase();
+
+  const denied = policy.denyDomains.find(d => matchesDomain(host, d));
+  if (denied) return decide(url, false, { source: 'config_deny', domain: denied });
+  const allowedDomain = policy.allowDomains.find(d => matchesDomain(host, d));
+  if (allowedDomain) return decide(url, true, { source: 'config_allow', domain: allowedDomain });
+  if (!policy.respectRobotsTxt) return decide(url, true, { source: 'robots_disabled' });
+
+  const robots = await loadRobots(parsed.origin, policy);
+  if (robots.status === 'unreachable') {
+    const rule = { source: 'robots_unreachable', robots_url: robots.robots_url, error: robots.error, on_unreachable: policy.onRobotsUnreachable };
+    return decide(url, policy.onRobotsUnreachable === 'allow', rule);
+  }
+  if (robots.status === 'missing') {
+    return decide(url, true, { source: 'robots_missing', robots_url: robots.robots_url, http_status: robots.http_status });
+  }
+
+  const group = groupFor(robots.groups, policy.userAgent);
+  if (!group) return decide(url, true, { source: 'robots_no_matching_group', robots_url: robots.robots_url });
+  const match = evaluate(group, parsed.pathname + parsed.search);
+  const extra = group.crawlDelay != null ? { crawl_delay: group.crawlDelay } : {};
+  if (!match) return decide(url, true, { source: 'robots_no_matching_rule', robots_url: robots.robots_url, user_agent: group.agent }, extra);
+  return decide(url, match.directive === 'Allow', {
+    source: 'robots',
+    robots_url: robots.robots_url,
+    user_agent: group.agent,
+    directive: match.directive,
+    pattern: match.pattern,
+    line: match.line
+  }, extra);
+}
+
+// One-line summary of the rule behind a decision, for error messages and logs
+function describe(rule = {}) {
+  switch (rule.source) {
+    case 'config_deny': return `denyDomains entry "${rule.domain}"`;
+    case 'config_allow': return `allowDomains entry "${rule.domain}"`;
+    case 'robots': return `${rule.robots_url} ${rule.directive}: ${rule.pattern} (line ${rule.line}, user-agent ${rule.user_agent})`;
+    case 'robots_unreachable': return `${rule.robots_url} unreachable (${rule.error})`;
+    case 'invalid_url': return 'invalid URL';
+    default: return rule.source || 'unknown rule';
+  }
+}
+
+function status() {
+  const policy = settings();
+  return {
+    policy: { ...policy },
+    counts: { ...counts },
+    robots_cache: [...robotsCache.entries()].map(([origin, e]) => ({
+      origin,
+      status: e.status,
+      http_status: e.http_status,
+      groups: e.groups.length,
+      fetched_at: e.fetched_at,
+      expires_at: new Date(e.expires).toISOString()
+    })),
+    recent_blocks: recentBlocks.slice(0, 50)
+  };
+}
+
+function clearCache(origin) {
+  if (origin) return robotsCache.delete(origin);
+  robotsCache.clear();
+  return true;
+}
+
+module.exports = {
+  check,
+  describe,
+  status,
+  clearCache,
+  parseRobots
+};
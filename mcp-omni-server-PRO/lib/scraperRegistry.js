@@ -0,0 +1,252 @@
+// ---------- Scraper provider registry ----------
+// Every scraping backend (Zyte, ZenRows, plain HTTP...) registers here with the same shape:
+//   { name, capabilities: [...], available() -> bool, fetch(url, options) -> html string,
+//     limits: { text, html }, flags: {...} }
+// scrape() walks an ordered chain of providers for the URL's domain, taken from
+// toolConfiguration.scraperChain, and returns the first page that comes back. Each provider
+// sits behind a circuit breaker: after `failureThreshold` consecutive failures it is skipped
+// until `cooldownSeconds` pass, then a single trial request decides whether it closes again.
+// A page served by anything but the URL's first-choice provider counts as a fallback from
+// that provider (to "none" when nothing served it). A provider error marked `final` (a URL
+// the scrape policy refuses, found on a redirect) ends the chain at once: no other provider
+// may fetch it, and it does not count against the provider's breaker. The provider did
+// answer, so a half-open trial that ends that way closes the breaker.
+
+const marketConfig = require('./marketConfig');
+
+// Capabilities a caller can require through options.requires
+const CAPABILITIES = ['javascript', 'antibot', 'geolocation', 'wait_for_selector'];
+
+const DEFAULT_ORDER = ['zyte', 'zenrows', 'direct'];
+const DEFAULT_BREAKER = { failureThreshold: 5, cooldownSeconds: 120 };
+
+const providers = new Map();
+const health = new Map();
+const fallbacks = new Map(); // "from>to" -> count
+
+function register(provider) {
+  if (!provider || typeof provider.name !== 'string' || typeof provider.fetch !== 'function') {
+    throw new Error('scraper provider needs a name and a fetch(url, options) function');
+  }
+  const unknown = (provider.capabilities || []).filter(c => !CAPABILITIES.includes(c));
+  if (unknown.length) throw new Error(`unknown scraper capabilities: ${unknown.join(', ')}`);
+  providers.set(provider.name, {
+    capabilities: [],
+    available: () => true,
+    limits: {},
+    flags: {},
+    ...provider
+  });
+  if (!health.has(provider.name)) {
+    health.set(provider.name, {
+      state: 'closed',
+      attempts: 0,
+      successes: 0,
+      failures: 0,
+      consecutive_failures: 0,
+      skipped_open: 0,
+      total_latency_ms: 0,
+      opened_at: null,
+      last_success_at: null,
+      last_failure_at: null,
+      last_error: null
+    });
+  }
+  return providers.get(provider.name);
+}
+
+function chainSettings() {
+  const tools = marketConfig.settings().toolConfiguration || {};
+  return tools.scraperChain || {};
+}
+
+function breakerSettings() {
+  return { ...DEFAULT_BREAKER, ...(chainSettings().circuitBreaker || {}) };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+// Longest matching domain wins, so "maps.google.com" can differ from "google.com"
+function orderFor(url) {
+  const settings = chainSettings();
+  const host = hostOf(url);
+  const domains = settings.domains || {};
+  const match = Object.keys(domains)
+    .filter(d => host === d || host.endsWith(`.${d}`))
+    .sort((a, b) => b.length - a.length)[0];
+  return { domain: match || null, order: match ? domains[match] : (settings.defaultOrder || DEFAULT_ORDER) };
+}
+
+// closed -> open after repeated failures; open -> half_open once the cooldown has passed.
+// Only one trial request is let through while half open.
+function admit(name) {
+  const h = health.get(name);
+  if (h.state === 'closed') return true;
+  if (h.state === 'half_open') return false;
+  const { cooldownSeconds } = breakerSettings();
+  if (Date.now() - Date.parse(h.opened_at) >= cooldownSeconds * 1000) {
+    h.state = 'half_open';
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess(name, ms) {
+  const h = health.get(name);
+  h.attempts++;
+  h.successes++;
+  h.total_latency_ms += ms;
+  h.consecutive_failures = 0;
+  h.state = 'closed';
+  h.opened_at = null;
+  h.last_success_at = new Date().toISOString();
+}
+
+function recordFailure(name, ms, error) {
+  const h = health.get(name);
+  h.attempts++;
+  h.failures++;
+  h.total_latency_ms += ms;
+  h.consecutive_failures++;
+  h.last_failure_at = new Date().toISOString();
+  h.last_error = error.message;
+  if (h.state === 'half_open' || h.consecutive_failures >= breakerSettings().failureThreshold) {
+    h.state = 'open';
+    h.opened_at = h.last_failure_at;
+  }
+}
+
+// A final error is the URL's fault, not the provider's: settle a half-open trial as closed
+// so the provider is not left waiting for a trial that will never be recorded
+function recordFinal(name) {
+  const h = health.get(name);
+  if (h.state !== 'half_open') return;
+  h.consecutive_failures = 0;
+  h.state = 'closed';
+  h.opened_at = null;
+}
+
+// Providers for this URL in fallback order, with the reason any of them is left out
+function plan(url, { requires = [], only, exclude = [] } = {}) {
+  const { domain, order } = orderFor(url);
+  const chain = [];
+  const excluded = [];
+  for (const name of only ? [].concat(only) : order) {
+    const provider = providers.get(name);
+    if (!provider) excluded.push({ provider: name, reason: 'not_registered' });
+    else if (exclude.includes(name)) excluded.push({ provider: name, reason: 'excluded_by_caller' });
+    else if (!provider.available()) excluded.push({ provider: name, reason: 'not_configured' });
+    else if (requires.some(c => !provider.capabilities.includes(c))) excluded.push({ provider: name, reason: 'missing_capability' });
+    else chain.push(provider);
+  }
+  return { domain, order, chain, excluded };
+}
+
+function countFallback(from, to) {
+  const key = `${from}>${to}`;
+  fallbacks.set(key, (fallbacks.get(key) || 0) + 1);
+}
+
+// Returns { html, provider, attempts }. Throws when every provider failed or was skipped,
+// with the per-provider attempts on error.attempts.
+async function scrape(url, options = {}) {
+  const { domain, chain, excluded } = plan(url, options);
+  const attempts = excluded.map(e => ({ ...e, ok: false, skipped: true }));
+  for (const provider of chain) {
+    if (!admit(provider.name)) {
+      health.get(provider.name).skipped_open++;
+      attempts.push({ provider: provider.name, ok: false, skipped: true, reason: 'circuit_open' });
+      continue;
+    }
+    const started = Date.now();
+    try {
+      const html = String(await provider.fetch(url, options) || '');
+      if (!html) throw new Error(`${provider.name} returned an empty page`);
+      recordSuccess(provider.name, Date.now() - started);
+      attempts.push({ provider: provider.name, ok: true, ms: Date.now() - started });
+      if (provider !== chain[0]) countFallback(chain[0].name, provider.name);
+      return { html, provider, domain, attempts };
+    } catch (e) {
+      if (e.final) {
+        recordFinal(provider.name);
+        throw e;
+      }
+      recordFailure(provider.name, Date.now() - started, e);
+      attempts.push({ provider: provider.name, ok: false, ms: Date.now() - started, error: e.message });
+    }
+  }
+  if (chain.length) countFallback(chain[0].name, 'none');
+  const tried = attempts.filter(a => !a.skipped).map(a => `${a.provider}: ${a.error}`);
+  const err = new Error(tried.length ? `all scraper providers failed (${tried.join('; ')})` : 'no scraper provider available for this URL');
+  err.attempts = attempts;
+  throw err;
+}
+
+function status() {
+  const breaker = breakerSettings();
+  const settings = chainSettings();
+  return {
+    circuit_breaker: breaker,
+    default_order: settings.defaultOrder || DEFAULT_ORDER,
+    domains: settings.domains || {},
+    fallbacks: [...fallbacks].map(([key, count]) => {
+      const [from, to] = key.split('>');
+      return { from, to, count };
+    }),
+    providers: [...providers.values()].map(p => {
+      const h = health.get(p.name);
+      const retryAt = h.state === 'open' ? new Date(Date.parse(h.opened_at) + breaker.cooldownSeconds * 1000).toISOString() : null;
+      return {
+        name: p.name,
+        configured: !!p.available(),
+        capabilities: p.capabilities,
+        state: h.state,
+        attempts: h.attempts,
+        successes: h.successes,
+        failures: h.failures,
+        consecutive_failures: h.consecutive_failures,
+        skipped_while_open: h.skipped_open,
+        success_rate: h.attempts ? Math.round((h.successes / h.attempts) * 1000) / 1000 : null,
+        avg_latency_ms: h.attempts ? Math.round(h.total_latency_ms / h.attempts) : null,
+        opened_at: h.opened_at,
+        retry_at: retryAt,
+        last_success_at: h.last_success_at,
+        last_failure_at: h.last_failure_at,
+        last_error: h.last_error
+      };
+    })
+  };
+}
+
+// ---------- Shared page extraction ----------
+
+function titleOf(html) {
+  const m = String(html).match(/<title[^>]*>([^<]*)<\/title>/i);
+  return m ? m[1].trim().replace(/\s+/g, ' ') : null;
+}
+
+function cleanText(html, maxLength) {
+  const text = String(html)
+    .replace(/<script[\s\S]*?<\/script>/gi, '')
+    .replace(/<style[\s\S]*?<\/style>/gi, '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return maxLength ? text.slice(0, maxLength) : text;
+}
+
+module.exports = {
+  CAPABILITIES,
+  register,
+  plan,
+  scrape,
+  status,
+  titleOf,
+  cleanText
+};
@@ -0,0 +1,293 @@
+// ---------- Quiet-hours send scheduler ----------
+// Campaign routes enqueue SMS, email, call and voicemail sends here instead of firing them.
+// Each item gets a send_at inside the contact's allowed local window (timezone from ZIP or
+// state; when that leaves more than one zone possible, inside the window of every one of
+// them), is persisted in the "schedule" collection, and is released by a polling loop
+// that hands it to the dispatch function server.js provides (the GHL client).
+// Consent is checked again at release time, since a STOP can arrive while an item waits.
+// Each item records the tenant that queued it and is planned and dispatched as that tenant
+// (its send windows, GHL location and credentials).
+
+const crypto = require('crypto');
+const { createCollection } = require('./jsonStore');
+const marketConfig = require('./marketConfig');
+const contactTimezone = require('./contactTimezone');
+const requestContext = require('./requestContext');
+const logger = require('./logger');
+
+const CHANNELS = ['sms', 'email', 'call', 'voicemail'];
+
+// Florida's Telephone Solicitation Act allows 8am-8pm local, stricter than the federal 8am-9pm
+const DEFAULT_WINDOW = { start: 8, end: 20, days: [0, 1, 2, 3, 4, 5, 6] };
+const DEFAULT_INTERVAL_MS = 30000;
+const RETRY_BACKOFF_MS = 5 * 60 * 1000;
+// Windows that never overlap (a misconfiguration) would otherwise be searched forever
+const MAX_WINDOW_PASSES = 32;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+let collection = null;
+let timer = null;
+let running = false;
+let hooks = { dispatch: null, check: null };
+
+function store() {
+  if (!collection) collection = createCollection('schedule');
+  return collection;
+}
+
+function open(options) {
+  collection = createCollection('schedule', options);
+  return collection;
+}
+
+function legal() {
+  return marketConfig.settings().legalCompliance || {};
+}
+
+function windowFor(channel) {
+  const configured = (legal().sendWindows || {})[channel] || {};
+  return { ...DEFAULT_WINDOW, ...configured };
+}
+
+function localParts(date, timeZone) {
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', weekday: 'short'
+  }).formatToParts(date)) parts[p.type] = p.value;
+  return {
+    year: +parts.year, month: +parts.month, day: +parts.day, hour: +parts.hour, minute: +parts.minute,
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+function offsetMs(ts, timeZone) {
+  const p = localParts(new Date(ts), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ts / 60000) * 60000;
+}
+
+// Wall-clock time in a zone -> UTC instant; the second pass settles DST transitions
+function zonedToUtc(year, month, day, hour, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour);
+  let ts = guess - offsetMs(guess, timeZone);
+  const corrected = guess - offsetMs(ts, timeZone);
+  if (corrected !== ts) ts = corrected;
+  return ts;
+}
+
+// Earliest instant at or after `from` that falls inside the channel window in `timeZone`
+function nextWindowStart(from, timeZone, win) {
+  const now = from.getTime();
+  const p = localParts(from, timeZone);
+  if (win.days.includes(p.weekday) && p.hour >= win.start && p.hour < win.end) return now;
+  for (let i = 0; i <= 7; i++) {
+    const weekday = (p.weekday + i) % 7;
+    if (!win.days.includes(weekday)) continue;
+    if (i === 0 && p.hour >= win.end) continue;
+    const day = new Date(Date.UTC(p.year, p.month - 1, p.day + i));
+    return zonedToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), win.start, timeZone);
+  }
+  return now;
+}
+
+// Earliest instant at or after `from` inside the window in every one of `timeZones`
+function nextCommonWindowStart(from, timeZones, win) {
+  let ts = from.getTime();
+  for (let pass = 0; pass < MAX_WINDOW_PASSES; pass++) {
+    const next = Math.max(...timeZones.map(tz => nextWindowStart(new Date(ts), tz, win)));
+    if (next === ts) return ts;
+    ts = next;
+  }
+  throw new Error(`send window ${win.start}-${win.end} has no common time across ${timeZones.join(', ')}`);
+}
+
+// A contact with no location could be anywhere in the markets' states
+function fallbackTimezones() {
+  const zones = marketConfig.markets().flatMap(m => contactTimezone.zonesForState(m.stateCode || m.state));
+  return zones.length ? zones : contactTimezone.zonesForState(marketConfig.defaultMarket().stateCode);
+}
+
+// Where and when a send to this contact may go out; nothing is stored
+function plan(channel, contact = {}, notBefore) {
+  const tz = contactTimezone.resolve({ zip: contact.zip, state: contact.state }, fallbackTimezones());
+  const from = new Date(Math.max(Date.now(), notBefore ? Date.parse(notBefore) || 0 : 0));
+  const restricted = legal().callTimeRestrictions !== false;
+  const win = windowFor(channel);
+  const sendAt = restricted ? nextCommonWindowStart(from, tz.timezones, win) : from.getTime();
+  return {
+    timezone: tz.timezone,
+    timezones: tz.timezones,
+    timezone_source: tz.source,
+    window: restricted ? { start: win.start, end: win.end, days: win.days } : null,
+    send_at: new Date(sendAt).toISOString(),
+    deferred: sendAt > Date.now() + 1000
+  };
+}
+
+function enqueue({ channel, contact = {}, payload = {}, source = 'api', campaign_id = null, not_before }) {
+  if (!CHANNELS.includes(channel)) throw new Error(`channel must be one of ${CHANNELS.join(', ')}`);
+  const schedule = plan(channel, contact, not_before);
+  const now = new Date().toISOString();
+  const item = {
+    id: `send_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`,
+    status: 'pending',
+    channel,
+    contact: {
+      name: contact.name || null,
+      phone: contact.phone || null,
+      email: contact.email || null,
+      zip: contact.zip || null,
+      state: contact.state || null,
+      ghl_contact_id: contact.ghl_contact_id || null,
+      lead_id: contact.lead_id || null
+    },
+    payload,
+    source,
+    campaign_id,
+    tenant: requestContext.tenantId(),
+    ...schedule,
+    attempts: 0,
+    last_error: null,
+    created_at: now,
+    updated_at: now
+  };
+  return store().put(item.id, item);
+}
+
+function update(item, changes) {
+  return store().put(item.id, { ...item, ...changes, updated_at: new Date().toISOString() });
+}
+
+function get(id) {
+  return store().get(id);
+}
+
+function tenantOf(item) {
+  return item.tenant || requestContext.DEFAULT_TENANT;
+}
+
+function list({ status = 'pending', channel, phone, campaign_id, tenant, limit = 100, offset = 0 } = {}) {
+  const digits = phone ? String(phone).replace(/\D/g, '').slice(-10) : null;
+  const rows = store().all()
+    .filter(i => !tenant || tenantOf(i) === tenant)
+    .filter(i => !status || i.status === status)
+    .filter(i => !channel || i.channel === channel)
+    .filter(i => !campaign_id || i.campaign_id === campaign_id)
+    .filter(i => !digits || String(i.contact.phone || '').replace(/\D/g, '').endsWith(digits))
+    .sort((a, b) => a.send_at.localeCompare(b.send_at));
+  return { total: rows.length, items: rows.slice(offset, offset + limit) };
+}
+
+// Returns { item } or { error } ('not_found' | 'not_pending')
+function cancel(id, reason = 'cancelled_by_api') {
+  const item = store().get(id);
+  if (!item) return { error: 'not_found' };
+  if (item.status !== 'pending') return { error: 'not_pending', item };
+  return { item: update(item, { status: 'cancelled', cancel_reason: reason, cancelled_at: new Date().toISOString() }) };
+}
+
+// Used when a contact opts out: drop everything still waiting on the revoked channels
+function cancelForContact({ phone, email }, channels = CHANNELS, reason = 'consent_revoked') {
+  const digits = phone ? String(phone).replace(/\D/g, '').slice(-10) : null;
+  const mail = email ? String(email).toLowerCase() : null;
+  let cancelled = 0;
+  for (const item of store().all()) {
+    if (item.status !== 'pending' || !channels.includes(item.channel)) continue;
+    const samePhone = digits && String(item.contact.phone || '').replace(/\D/g, '').endsWith(digits);
+    const sameEmail = mail && String(item.contact.email || '').toLowerCase() === mail;
+    if (samePhone || sameEmail) {
+      cancel(item.id, reason);
+      cancelled++;
+    }
+  }
+  return cancelled;
+}
+
+function releaseItem(item) {
+  return requestContext.run({ tenant: tenantOf(item) }, () => releaseAsTenant(item));
+}
+
+async function releaseAsTenant(item) {
+  // Config or DST may have moved the window since the item was planned
+  const replanned = plan(item.channel, item.contact);
+  if (replanned.deferred) return update(item, { send_at: replanned.send_at, window: replanned.window });
+
+  if (hooks.check) {
+    const verdict = hooks.check(item);
+    if (verdict && verdict.allowed === false) {
+      return update(item, { status: 'cancelled', cancel_reason: verdict.reason, cancelled_at: new Date().toISOString() });
+    }
+  }
+
+  const sending = update(item, { status: 'sending', attempts: item.attempts + 1 });
+  try {
+    const result = await hooks.dispatch(sending);
+    return update(sending, { status: 'sent', sent_at: new Date().toISOString(), result: result || null, last_error: null });
+  } catch (e) {
+    const maxAttempts = (marketConfig.settings().qualityControl || {}).maxProcessingRetries || 3;
+    if (sending.attempts >= maxAttempts) {
+      return update(sending, { status: 'failed', last_error: e.message, failed_at: new Date().toISOString() });
+    }
+    // Retry later, still inside the contact's window
+    const retry = plan(item.channel, item.contact, new Date(Date.now() + RETRY_BACKOFF_MS * sending.attempts).toISOString());
+    return update(sending, { status: 'pending', last_error: e.message, send_at: retry.send_at });
+  }
+}
+
+async function tick() {
+  if (running || !hooks.dispatch) return 0;
+  running = true;
+  let released = 0;
+  try {
+    const now = new Date().toISOString();
+    const due = store().all().filter(i => i.status === 'pending' && i.send_at <= now);
+    for (const item of due) {
+      const after = await releaseItem(item);
+      if (after.status === 'sent') released++;
+    }
+  } catch (e) {
+    logger.error('send scheduler tick failed', { error: e.message });
+  } finally {
+    running = false;
+  }
+  return released;
+}
+
+// An item left in "sending" by a crash may or may not have gone out; resending could
+// double-text the contact, so it is parked as failed for a human to look at
+function start({ dispatch, check, intervalMs = Number(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS }) {
+  hooks = { dispatch, check };
+  for (const item of store().all()) {
+    if (item.status === 'sending') update(item, { status: 'failed', last_error: 'interrupted during send; not retried to avoid a duplicate delivery' });
+  }
+  if (timer) clearInterval(timer);
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+function stats() {
+  const counts = {};
+  for (const item of store().all()) counts[item.status] = (counts[item.status] || 0) + 1;
+  return { counts, polling: !!timer, next_send_at: list({ limit: 1 }).items[0]?.send_at || null };
+}
+
+module.exports = {
+  CHANNELS,
+  open,
+  tenantOf,
+  plan,
+  enqueue,
+  get,
+  list,
+  cancel,
+  cancelForContact,
+  tick,
+  start,
+  stop,
+  stats
+};
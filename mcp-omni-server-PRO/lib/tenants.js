@@ -0,0 +1,69 @@
+// ---------- Tenants ----------
+// A tenant is one agent or team sharing this deployment: its own provider credentials, GHL
+// location/pipeline/calendar and market config. Tenants are defined in the "tenants"
+// section of market_hub_config.json and API keys are assigned to one (lib/apiKeys). The
+// tenant of the current request comes from lib/requestContext.
+//
+// env(name) replaces process.env lookups for provider credentials and GHL IDs. The default
+// tenant reads the deployment's own variables; any other tenant reads only the variables it
+// maps in `credentials` or opts into with `sharedCredentials`, so one agent's GHL key or
+// API budget is never used for another.
+
+const marketConfig = require('./marketConfig');
+const requestContext = require('./requestContext');
+
+const { DEFAULT_TENANT } = requestContext;
+
+function exists(id) {
+  return id === DEFAULT_TENANT || !!marketConfig.tenants()[id];
+}
+
+function currentId() {
+  return requestContext.tenantId();
+}
+
+function env(name, id = currentId()) {
+  if (id === DEFAULT_TENANT) return process.env[name];
+  const tenant = marketConfig.tenants()[id];
+  if (!tenant) return undefined;
+  const mapped = (tenant.credentials || {})[name];
+  if (mapped) return process.env[mapped];
+  return (tenant.sharedCredentials || []).includes(name) ? process.env[name] : undefined;
+}
+
+// Safe to return to a caller: which credentials resolve, never their values
+function describe(id = currentId()) {
+  if (!exists(id)) return null;
+  const tenant = id === DEFAULT_TENANT ? {} : marketConfig.tenants()[id];
+  const view = requestContext.run({ tenant: id }, () => marketConfig.get());
+  const names = id === DEFAULT_TENANT
+    ? []
+    : [...new Set([...Object.keys(tenant.credentials || {}), ...(tenant.sharedCredentials || [])])];
+  return {
+    id,
+    name: tenant.name || (id === DEFAULT_TENANT ? 'Default (deployment environment)' : id),
+    default: id === DEFAULT_TENANT,
+    credentials: Object.fromEntries(names.map(n => [n, !!env(n, id)])),
+    shared_credentials: id === DEFAULT_TENANT ? 'all' : tenant.sharedCredentials || [],
+    ghl: {
+      location_id: env('GHL_LOCATION_ID', id) || view.marketConfig.ghl.locationId,
+      pipeline_id: env('GHL_PIPELINE_ID', id) || view.marketConfig.ghl.pipelineId || null,
+      calendar_id: env('GHL_CALENDAR_ID', id) || view.marketConfig.ghl.calendarId
+    },
+    markets: view.markets.map(m => `${m.city} ${m.stateCode}`),
+    default_market: `${view.defaultMarket.city} ${view.defaultMarket.stateCode}`
+  };
+}
+
+function list() {
+  return [DEFAULT_TENANT, ...Object.keys(marketConfig.tenants())].map(id => describe(id));
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  exists,
+  currentId,
+  env,
+  describe,
+  list
+};
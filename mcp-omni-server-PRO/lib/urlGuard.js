@@ -0,0 +1,101 @@
+// ---------- Outbound URL guard (SSRF) ----------
+// URLs that callers hand us (pages to scrape, open-data portals) must only reach the public
+// internet. check(url) resolves the host and refuses it when any of its addresses is
+// loopback, private, link-local, CGNAT, multicast or otherwise reserved, IPv4 or IPv6
+// (IPv4-mapped and NAT64 forms included). axiosOptions repeats the test when axios connects
+// and before every redirect hop, so a name that re-resolves to a private address, or a
+// redirect to http://169.254.169.254/, is refused as well.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const BLOCKED_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+const BLOCKED_V6 = [
+  ['::', 96], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+];
+
+// One list per family: a BlockList matches IPv4 addresses against IPv6 rules in their
+// ::ffff: form, so ::ffff:0:0/96 in a shared list would block every IPv4 address
+function blockList(family, subnets) {
+  const list = new net.BlockList();
+  for (const [prefix, bits] of subnets) list.addSubnet(prefix, bits, family);
+  return list;
+}
+const blockedV4 = blockList('ipv4', BLOCKED_V4);
+const blockedV6 = blockList('ipv6', BLOCKED_V6);
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return blockedV4.check(address, 'ipv4');
+  if (family === 6) return blockedV6.check(address, 'ipv6');
+  return true;
+}
+
+// URL hostnames keep IPv6 literals in brackets
+function bareHost(hostname) {
+  return String(hostname || '').replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+function refusal(host, address) {
+  const err = new Error(`${host} is not a public address${address !== host ? ` (resolves to ${address})` : ''}`);
+  err.code = 'blocked_destination';
+  return err;
+}
+
+// Resolves the URL's host and returns its addresses; throws code "blocked_destination"
+// unless it is http(s) and every address is public
+async function check(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    const err = new Error(`${parsed.protocol} URLs cannot be fetched`);
+    err.code = 'blocked_destination';
+    throw err;
+  }
+  const host = bareHost(parsed.hostname);
+  const addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true, verbatim: true })).map(a => a.address);
+  const bad = addresses.find(isBlockedAddress);
+  if (bad) throw refusal(host, bad);
+  return addresses;
+}
+
+// dns.lookup for the agents below: connect only when every answer is public
+function lookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find(a => isBlockedAddress(a.address));
+    if (bad) return callback(refusal(hostname, bad.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Literal IPs never go through lookup, so redirect targets are checked here as well
+function beforeRedirect(options) {
+  const host = bareHost(options.hostname || options.host);
+  if (net.isIP(host) && isBlockedAddress(host)) throw refusal(host, host);
+}
+
+// True for a refusal from check() or from a connect or redirect that axios reports
+function isRefusal(err) {
+  return err?.code === 'blocked_destination' || err?.cause?.code === 'blocked_destination';
+}
+
+// Spread into an axios request config
+const axiosOptions = {
+  httpAgent: new http.Agent({ lookup }),
+  httpsAgent: new https.Agent({ lookup }),
+  beforeRedirect
+};
+
+module.exports = { check, isBlockedAddress, isRefusal, axiosOptions };
@@ -0,0 +1,38 @@
+// ---------- Required disclosure enforcement ----------
+// SMS disclosures in append mode, with the requiredDisclosures in market_hub_config.json:
+// Equal Housing Opportunity, Text STOP to opt out, Licensed Real Estate Professional.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const disclosures = require('../lib/disclosures');
+
+test('missing disclosures are appended with the opt-out last', () => {
+  const result = disclosures.enforce('New listing in Pace.', 'sms');
+  assert.equal(result.text, 'New listing in Pace. Equal Housing Opportunity. Licensed Real Estate Professional. Text STOP to opt out.');
+  assert.equal(result.rejected, false);
+});
+
+test('an opt-out already in the text stays the last thing in the message', () => {
+  const result = disclosures.enforce('Short msg. Reply STOP to unsubscribe', 'sms');
+  assert.equal(result.text, 'Short msg. Equal Housing Opportunity. Licensed Real Estate Professional. Reply STOP to unsubscribe');
+  assert.deepEqual(result.appended, ['Equal Housing Opportunity', 'Licensed Real Estate Professional']);
+});
+
+test('an opt-out in the middle of the text is moved to the end', () => {
+  const result = disclosures.enforce('Reply STOP to unsubscribe. Open house Saturday!', 'sms');
+  assert.match(result.text, /^Open house Saturday! .*Reply STOP to unsubscribe\.$/);
+  assert.equal(result.text.match(/STOP/g).length, 1);
+});
+
+test('a long message is shortened, never its disclosures, and still ends with the opt-out', () => {
+  const result = disclosures.enforce(`${'Lovely pool home near the beach. '.repeat(12)}Reply STOP to unsubscribe`, 'sms');
+  assert.equal(result.truncated, true);
+  assert.ok(result.segments <= result.max_segments);
+  assert.match(result.text, /\.\.\. Equal Housing Opportunity\. Licensed Real Estate Professional\. Text STOP to opt out\.$/);
+  assert.equal(result.text.match(/STOP/g).length, 1);
+});
+
+test('a complete message is left alone', () => {
+  const text = 'Hi. Equal Housing Opportunity. Licensed Real Estate Professional. Text STOP to opt out.';
+  assert.equal(disclosures.enforce(text, 'sms').text, text);
+});
@@ -0,0 +1,49 @@
+// ---------- Fair Housing content analyzer ----------
+// Object content is scanned whatever its keys are called, and content with nothing to scan
+// is never approved.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fairHousing = require('../lib/fairHousing');
+
+test('strings under any key, at any depth, are scanned', () => {
+  const result = fairHousing.analyzeContent({ email_content: { html: 'Adults only. No children.' }, sms: 'Adults only' });
+  assert.equal(result.scanned, true);
+  assert.equal(result.blocked, true);
+  assert.equal(result.suggested_text, null);
+  assert.deepEqual([...new Set(result.flagged_spans.map(s => s.field))], ['email_content.html', 'sms']);
+  assert.equal(fairHousing.statusOf(result), 'rejected');
+});
+
+test('suggested text keeps the shape of the object', () => {
+  const result = fairHousing.analyzeContent({ subject: 'New listing', blocks: [{ text: 'Perfect for young couples' }] });
+  assert.equal(result.blocked, false);
+  assert.equal(result.flagged_spans[0].field, 'blocks.0.text');
+  assert.equal(result.suggested_text.subject, 'New listing');
+  assert.equal(typeof result.suggested_text.blocks[0].text, 'string');
+  assert.notEqual(result.suggested_text.blocks[0].text, 'Perfect for young couples');
+});
+
+test('content without text is not scanned and not approved', () => {
+  for (const content of [{}, { id: 7 }, { body: '   ' }, '']) {
+    const result = fairHousing.analyzeContent(content);
+    assert.equal(result.scanned, false, JSON.stringify(content));
+    assert.equal(fairHousing.statusOf(result), 'not_scanned');
+  }
+});
+
+test('text nested past the depth limit leaves the content unscanned', () => {
+  let deep = 'Adults only';
+  for (let i = 0; i < 10; i++) deep = { next: deep };
+  const result = fairHousing.analyzeContent({ subject: 'Open house', deep });
+  assert.equal(result.scanned, false);
+  assert.equal(fairHousing.overallStatus([result]), 'review_required');
+});
+
+test('an empty review, or one with an unscanned piece, is never approved', () => {
+  const clean = fairHousing.analyzeContent({ body: 'Three bedrooms near the park' });
+  assert.equal(fairHousing.overallStatus([clean]), 'approved');
+  assert.equal(fairHousing.overallStatus([]), 'review_required');
+  assert.equal(fairHousing.overallStatus([clean, fairHousing.analyzeContent({})]), 'review_required');
+  assert.equal(fairHousing.overallStatus([clean, fairHousing.analyzeContent('No kids')]), 'rejected');
+});
@@ -0,0 +1,54 @@
+// ---------- Buyer intent model ----------
+// Fixture leads pin buyer_intent_logistic@1.0.0: each one's scores, channel and per-feature
+// contributions. A failure here means scoring changed, which needs a new MODEL_VERSION and
+// regenerated fixtures, never edited expectations under the old version.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const intentModel = require('../lib/intentModel');
+const fixtures = require('./fixtures/intent-leads.json');
+
+function contributionsOf(part) {
+  return Object.fromEntries(part.contributions.map(c => [c.feature, c.contribution]));
+}
+
+test('fixtures are written for the current model version', () => {
+  assert.equal(intentModel.MODEL_ID, 'buyer_intent_logistic@1.0.0');
+  for (const lead of fixtures) assert.equal(lead.expected.model_id, intentModel.MODEL_ID, lead.name);
+});
+
+for (const lead of fixtures) {
+  test(`scores ${lead.name}`, () => {
+    const result = intentModel.scoreBuyer(lead.buyer, lead.signals);
+    const { expected } = lead;
+    assert.equal(result.model_id, expected.model_id);
+    assert.equal(result.intent_score, expected.intent_score);
+    assert.equal(result.readiness_score, expected.readiness_score);
+    assert.equal(result.urgency_score, expected.urgency_score);
+    assert.equal(result.communication_preference, expected.communication_preference);
+    assert.equal(result.explanation.intent.logit, expected.intent_logit);
+    assert.deepEqual(contributionsOf(result.explanation.intent), expected.intent_contributions);
+    assert.deepEqual(contributionsOf(result.explanation.readiness), expected.readiness_contributions);
+  });
+}
+
+test('the same lead always gets the same result', () => {
+  for (const lead of fixtures) {
+    assert.deepEqual(intentModel.scoreBuyer(lead.buyer, lead.signals), intentModel.scoreBuyer(lead.buyer, lead.signals), lead.name);
+  }
+});
+
+test('the intent logit is the bias plus the contributions', () => {
+  for (const lead of fixtures) {
+    const { intent } = intentModel.scoreBuyer(lead.buyer, lead.signals).explanation;
+    const sum = intent.contributions.reduce((total, c) => total + c.contribution, intent.bias);
+    assert.ok(Math.abs(sum - intent.logit) < 1e-9, lead.name);
+  }
+});
+
+test('stronger signals never lower the intent score', () => {
+  const [hot, , , cold] = fixtures;
+  assert.ok(hot.expected.intent_score > cold.expected.intent_score);
+  const warmer = intentModel.scoreBuyer({ ...cold.buyer, preApproved: true }, cold.signals);
+  assert.ok(warmer.intent_score >= cold.expected.intent_score);
+});
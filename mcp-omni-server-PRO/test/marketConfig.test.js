@@ -0,0 +1,18 @@
+// ---------- Market lookup ----------
+// findMarket() against the markets in market_hub_config.json (Florida panhandle cities).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const marketConfig = require('../lib/marketConfig');
+
+test('a city is found bare or followed by its own state name or code', () => {
+  for (const input of ['Pace', 'pace', 'Pace FL', 'Pace, FL', 'Pace,FL', 'Pace, Florida', '  PACE   florida ']) {
+    assert.equal(marketConfig.findMarket(input)?.city, 'Pace', input);
+  }
+});
+
+test('another state, or a suffix glued to the city, finds nothing', () => {
+  for (const input of ['Pace, AL', 'Pace Alabama', 'PaceFL', 'Pace Florida Beach', 'Milton, Massachusetts', '', null]) {
+    assert.equal(marketConfig.findMarket(input), null, String(input));
+  }
+});
@@ -0,0 +1,127 @@
+// ---------- Scrape policy ----------
+// Each case starts a local HTTP server that plays a site's robots.txt (or fails to), then asks
+// scrapePolicy.check() about URLs on it. Every server is its own origin, so cached robots
+// files never leak between cases. Uses the default policy in market_hub_config.json:
+// product token MCPOmniBot, unreachable robots.txt denies.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const scrapePolicy = require('../lib/scrapePolicy');
+
+// Serves `robots` for /robots.txt: a string (200), { status, body } or { redirect }. Resolves to
+// { origin, requests } where requests counts robots.txt fetches.
+function robotsServer(t, robots) {
+  const state = { requests: 0 };
+  const server = http.createServer((req, res) => {
+    if (req.url !== '/robots.txt') {
+      res.writeHead(404);
+      return res.end();
+    }
+    state.requests++;
+    if (robots.redirect) {
+      res.writeHead(302, { Location: robots.redirect });
+      return res.end();
+    }
+    const { status = 200, body = '' } = typeof robots === 'string' ? { body: robots } : robots;
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(body);
+  });
+  t.after(() => server.close());
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    state.origin = `http://127.0.0.1:${server.address().port}`;
+    resolve(state);
+  }));
+}
+
+test('longest matching rule wins and crawl-delay is reported', async t => {
+  const site = await robotsServer(t, [
+    'User-agent: *',
+    'Disallow: /private',
+    'Allow: /private/listings',
+    'Crawl-delay: 2'
+  ].join('\n'));
+
+  const open = await scrapePolicy.check(`${site.origin}/homes`);
+  assert.equal(open.allowed, true);
+  assert.equal(open.rule.source, 'robots_no_matching_rule');
+  assert.equal(open.crawl_delay, 2);
+
+  const blocked = await scrapePolicy.check(`${site.origin}/private/notes`);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.status, 'policy_blocked');
+  assert.deepEqual(
+    { directive: blocked.rule.directive, pattern: blocked.rule.pattern, line: blocked.rule.line, user_agent: blocked.rule.user_agent },
+    { directive: 'Disallow', pattern: '/private', line: 2, user_agent: '*' }
+  );
+
+  const allowed = await scrapePolicy.check(`${site.origin}/private/listings/12`);
+  assert.equal(allowed.allowed, true);
+  assert.equal(allowed.rule.directive, 'Allow');
+  assert.equal(site.requests, 1, 'robots.txt is fetched once per origin');
+});
+
+test('a group naming our product token replaces "*", matched case-insensitively', async t => {
+  const site = await robotsServer(t, [
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: mcpomnibot',
+    'Disallow: /search'
+  ].join('\n'));
+
+  const page = await scrapePolicy.check(`${site.origin}/homes/1`);
+  assert.equal(page.allowed, true);
+  assert.equal(page.rule.user_agent, 'mcpomnibot');
+
+  const search = await scrapePolicy.check(`${site.origin}/search?q=pool`);
+  assert.equal(search.allowed, false);
+  assert.equal(search.rule.pattern, '/search');
+});
+
+test('a group for a prefix of our product token does not apply', async t => {
+  const site = await robotsServer(t, [
+    'User-agent: m',
+    'User-agent: mcp',
+    'Disallow: /',
+    '',
+    'User-agent: *',
+    'Allow: /'
+  ].join('\n'));
+
+  const decision = await scrapePolicy.check(`${site.origin}/homes`);
+  assert.equal(decision.allowed, true);
+  assert.equal(decision.rule.user_agent, '*');
+});
+
+test('a 5xx robots.txt is unreachable and denies by default', async t => {
+  const site = await robotsServer(t, { status: 503, body: 'down' });
+  const decision = await scrapePolicy.check(`${site.origin}/homes`);
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.rule.source, 'robots_unreachable');
+  assert.equal(decision.rule.on_unreachable, 'deny');
+  assert.match(scrapePolicy.describe(decision.rule), /robots\.txt unreachable \(HTTP 503\)/);
+});
+
+test('a 4xx robots.txt means no restrictions', async t => {
+  const site = await robotsServer(t, { status: 404 });
+  const decision = await scrapePolicy.check(`${site.origin}/anything`);
+  assert.equal(decision.allowed, true);
+  assert.equal(decision.rule.source, 'robots_missing');
+  assert.equal(decision.rule.http_status, 404);
+});
+
+test('an unreachable origin denies', async () => {
+  // Port 9 (discard) on loopback refuses the connection
+  const decision = await scrapePolicy.check('http://127.0.0.1:9/homes');
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.rule.source, 'robots_unreachable');
+});
+
+test('a robots.txt redirect to a private address is refused, not followed', async t => {
+  const site = await robotsServer(t, { redirect: 'http://169.254.169.254/robots.txt' });
+  const decision = await scrapePolicy.check(`${site.origin}/homes`);
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.rule.source, 'robots_unreachable');
+  assert.match(decision.rule.error, /169\.254\.169\.254 is not a public address/);
+});
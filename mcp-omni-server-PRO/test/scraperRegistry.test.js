@@ -0,0 +1,65 @@
+// ---------- Scraper provider registry ----------
+// Circuit breaker transitions, with the thresholds in market_hub_config.json (5 failures,
+// 120 s cooldown). Each case registers its own providers so breaker state never carries over.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const scraperRegistry = require('../lib/scraperRegistry');
+
+const URL = 'https://example.com/listing';
+
+function healthOf(name) {
+  return scraperRegistry.status().providers.find(p => p.name === name);
+}
+
+// Registers `name` whose fetch runs `behave()` and opens its breaker with five failures
+async function openProvider(name, behave) {
+  let failing = true;
+  scraperRegistry.register({
+    name,
+    fetch: async () => {
+      if (failing) throw new Error('upstream 503');
+      return behave();
+    }
+  });
+  for (let i = 0; i < 5; i++) await assert.rejects(scraperRegistry.scrape(URL, { only: name }));
+  assert.equal(healthOf(name).state, 'open');
+  failing = false;
+}
+
+// Moves the clock past the cooldown so the next request is the half-open trial
+function afterCooldown(t) {
+  const later = Date.now() + 121000;
+  t.mock.method(Date, 'now', () => later);
+}
+
+test('an open breaker skips the provider until the cooldown passes', async t => {
+  await openProvider('test-open', () => '<html>ok</html>');
+  await assert.rejects(scraperRegistry.scrape(URL, { only: 'test-open' }), err => err.attempts[0].reason === 'circuit_open');
+  afterCooldown(t);
+  const result = await scraperRegistry.scrape(URL, { only: 'test-open' });
+  assert.equal(result.provider.name, 'test-open');
+  assert.equal(healthOf('test-open').state, 'closed');
+});
+
+test('a failed half-open trial re-opens the breaker', async t => {
+  await openProvider('test-reopen', () => {
+    throw new Error('still down');
+  });
+  afterCooldown(t);
+  await assert.rejects(scraperRegistry.scrape(URL, { only: 'test-reopen' }), /still down/);
+  assert.equal(healthOf('test-reopen').state, 'open');
+});
+
+test('a final error during a half-open trial closes the breaker instead of stranding it', async t => {
+  await openProvider('test-final', () => {
+    const err = new Error('redirect target is disallowed by robots.txt');
+    err.final = true;
+    throw err;
+  });
+  afterCooldown(t);
+  await assert.rejects(scraperRegistry.scrape(URL, { only: 'test-final' }), err => err.final === true);
+  const health = healthOf('test-final');
+  assert.equal(health.state, 'closed');
+  assert.equal(health.failures, 5, 'the final error is not counted as a failure');
+});
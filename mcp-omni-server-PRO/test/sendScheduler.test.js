@@ -0,0 +1,38 @@
+// ---------- Quiet-hours send scheduler ----------
+// plan() against the default 8am-8pm window and the Florida markets in market_hub_config.json.
+// Times are in January 2030: Eastern is UTC-5 and Central UTC-6, so 8am Central is 14:00Z
+// and 8pm Eastern is 01:00Z.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sendScheduler = require('../lib/sendScheduler');
+
+test('a panhandle ZIP is planned on Central time alone', () => {
+  const plan = sendScheduler.plan('sms', { zip: '32571' }, '2030-01-15T01:30:00Z');
+  assert.deepEqual(plan.timezones, ['America/Chicago']);
+  assert.equal(plan.send_at, '2030-01-15T01:30:00.000Z', '7:30pm Central is inside the window');
+});
+
+test('a Florida contact without a ZIP waits for 8am Central', () => {
+  // 8:30am Eastern, but 7:30am in the panhandle
+  const plan = sendScheduler.plan('sms', { state: 'FL' }, '2030-01-15T13:30:00Z');
+  assert.equal(plan.timezone_source, 'state');
+  assert.deepEqual([...plan.timezones].sort(), ['America/Chicago', 'America/New_York']);
+  assert.equal(plan.send_at, '2030-01-15T14:00:00.000Z');
+});
+
+test('a Florida contact without a ZIP is not sent after 8pm Eastern', () => {
+  // 7:30pm Central, but 8:30pm on the Atlantic coast
+  const plan = sendScheduler.plan('sms', { state: 'Florida' }, '2030-01-16T01:30:00Z');
+  assert.equal(plan.send_at, '2030-01-16T14:00:00.000Z');
+});
+
+test('a contact with no location keeps to every zone of the configured markets', () => {
+  const evening = sendScheduler.plan('sms', {}, '2030-01-15T01:30:00Z');
+  assert.equal(evening.timezone_source, 'default');
+  assert.deepEqual([...evening.timezones].sort(), ['America/Chicago', 'America/New_York']);
+  assert.equal(evening.send_at, '2030-01-15T14:00:00.000Z');
+
+  const midday = sendScheduler.plan('sms', {}, '2030-01-15T18:00:00Z');
+  assert.equal(midday.send_at, '2030-01-15T18:00:00.000Z');
+});